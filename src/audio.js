@@ -16,6 +16,28 @@ export class AudioManager {
     }
   }
 
+  // Subscribe to game events; returns a function that unsubscribes
+  attach(game) {
+    const unsubscribers = [
+      game.on('jump', () => this.playJump()),
+      game.on('score', () => this.playScore()),
+      game.on('hit', ({ lives, playersLeft = 0 }) => {
+        this.playHit();
+        if (lives === 0 && playersLeft === 0) {
+          setTimeout(() => this.playGameOver(), 200);
+        }
+      }),
+      game.on('powerUp', ({ type }) => this.playPowerUp(type)),
+      game.on('powerUpEnd', ({ absorbed }) => {
+        if (absorbed) this.playShieldBreak();
+      }),
+      game.on('stateChange', ({ to }) => {
+        if (to === 'won') this.playWin();
+      })
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
   // Resume audio context (required after user interaction)
   resume() {
     if (this.ctx && this.ctx.state === 'suspended') {
@@ -86,6 +108,53 @@ export class AudioManager {
     osc.stop(this.ctx.currentTime + 0.3);
   }
 
+  // Quick rising arpeggio, pitched per power-up
+  playPowerUp(type) {
+    if (!this.enabled || !this.ctx) return;
+    this.resume();
+
+    const roots = { shield: 523, slowmo: 392, shrink: 659, magnet: 440 };
+    const root = roots[type] ?? 523;
+    [1, 1.25, 1.5].forEach((ratio, i) => {
+      const osc = this.ctx.createOscillator();
+      const gain = this.ctx.createGain();
+
+      osc.connect(gain);
+      gain.connect(this.ctx.destination);
+
+      osc.type = 'triangle';
+      const startTime = this.ctx.currentTime + i * 0.06;
+
+      osc.frequency.setValueAtTime(root * ratio, startTime);
+      gain.gain.setValueAtTime(0.2, startTime);
+      gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.1);
+
+      osc.start(startTime);
+      osc.stop(startTime + 0.1);
+    });
+  }
+
+  playShieldBreak() {
+    if (!this.enabled || !this.ctx) return;
+    this.resume();
+
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+
+    osc.connect(gain);
+    gain.connect(this.ctx.destination);
+
+    osc.type = 'square';
+    osc.frequency.setValueAtTime(900, this.ctx.currentTime);
+    osc.frequency.exponentialRampToValueAtTime(300, this.ctx.currentTime + 0.15);
+
+    gain.gain.setValueAtTime(0.15, this.ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + 0.2);
+
+    osc.start(this.ctx.currentTime);
+    osc.stop(this.ctx.currentTime + 0.2);
+  }
+
   playGameOver() {
     if (!this.enabled || !this.ctx) return;
     this.resume();
@@ -111,6 +180,32 @@ export class AudioManager {
     });
   }
 
+  playWin() {
+    if (!this.enabled || !this.ctx) return;
+    this.resume();
+
+    // Ascending fanfare
+    const notes = [523, 659, 784, 1047];
+    notes.forEach((freq, i) => {
+      const osc = this.ctx.createOscillator();
+      const gain = this.ctx.createGain();
+
+      osc.connect(gain);
+      gain.connect(this.ctx.destination);
+
+      osc.type = 'triangle';
+      const startTime = this.ctx.currentTime + i * 0.12;
+      const duration = i === notes.length - 1 ? 0.5 : 0.12;
+
+      osc.frequency.setValueAtTime(freq, startTime);
+      gain.gain.setValueAtTime(0.2, startTime);
+      gain.gain.exponentialRampToValueAtTime(0.01, startTime + duration);
+
+      osc.start(startTime);
+      osc.stop(startTime + duration);
+    });
+  }
+
   toggle() {
     this.enabled = !this.enabled;
     return this.enabled;
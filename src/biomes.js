@@ -0,0 +1,107 @@
+// Day/night cycle
+//
+// The background runs through dawn, day, dusk and night as the score climbs,
+// then around again. Each biome is a palette for the sky, clouds, pipes and
+// ground; between biomes the palettes are blended so the change is gradual.
+
+import { SeededRandom } from './random.js';
+
+export const BIOMES = [
+  {
+    id: 'dawn',
+    sky: ['#F6A5C0', '#FCE3C4', '#F6C9A5'],
+    clouds: '#FFE4E1',
+    pipe: ['#3E7D5A', '#5BAA7C', '#336B4C'],
+    ground: { dirt: '#8B5A3C', grass: ['#3C8D3C', '#3F8F5F'], blades: '#2F7A2F' },
+    night: 0
+  },
+  {
+    id: 'day',
+    sky: ['#87CEEB', '#E0F6FF', '#87CEEB'],
+    clouds: '#FFFFFF',
+    pipe: ['#2E8B57', '#3CB371', '#228B22'],
+    ground: { dirt: '#8B4513', grass: ['#228B22', '#2E8B57'], blades: '#1E7A1E' },
+    night: 0
+  },
+  {
+    id: 'dusk',
+    sky: ['#4B3F72', '#F08A5D', '#B83B5E'],
+    clouds: '#F5C6AA',
+    pipe: ['#3B6E4F', '#4E8F66', '#2D5A3F'],
+    ground: { dirt: '#6B3A1E', grass: ['#2D6A2D', '#2F6B4A'], blades: '#225522' },
+    night: 0.2
+  },
+  {
+    id: 'night',
+    sky: ['#0B1026', '#1E2A4A', '#0B1026'],
+    clouds: '#5A6480',
+    pipe: ['#1F4D3A', '#2B6650', '#173D2D'],
+    ground: { dirt: '#3E2A1C', grass: ['#1A4020', '#1C4430'], blades: '#123016' },
+    night: 1
+  }
+];
+
+export const BIOME_LENGTH = 15; // Points spent in each biome
+export const BIOME_BLEND_TICKS = 180; // How long one biome takes to fade into the next
+export const STAR_COUNT = 60;
+const STAR_SEED = 0x5EED5; // Fixed so the sky looks the same every night
+
+// Biome position the score calls for: 0 = dawn, 1 = day, ... 4 = dawn again
+export function biomeTarget(score) {
+  return Math.floor(score / BIOME_LENGTH);
+}
+
+// Blended palette at a (fractional) biome position. `overrides` swaps in
+// colors per biome id, e.g. the shop background's sky for the day.
+export function getBiomePalette(progress, overrides = {}) {
+  const index = Math.floor(progress);
+  const t = progress - index;
+  const from = biomeAt(index, overrides);
+  const to = biomeAt(index + 1, overrides);
+
+  return {
+    sky: from.sky.map((color, i) => mixColor(color, to.sky[i], t)),
+    clouds: mixColor(from.clouds, to.clouds, t),
+    pipe: from.pipe.map((color, i) => mixColor(color, to.pipe[i], t)),
+    ground: {
+      dirt: mixColor(from.ground.dirt, to.ground.dirt, t),
+      grass: from.ground.grass.map((color, i) => mixColor(color, to.ground.grass[i], t)),
+      blades: mixColor(from.ground.blades, to.ground.blades, t)
+    },
+    night: from.night + (to.night - from.night) * t
+  };
+}
+
+function biomeAt(index, overrides) {
+  const biome = BIOMES[index % BIOMES.length];
+  return { ...biome, ...overrides[biome.id] };
+}
+
+// Blend two '#RRGGBB' colors
+export function mixColor(a, b, t) {
+  if (t <= 0) return a;
+  if (t >= 1) return b;
+  const from = parseInt(a.slice(1), 16);
+  const to = parseInt(b.slice(1), 16);
+  let mixed = 0;
+  for (const shift of [16, 8, 0]) {
+    const start = (from >> shift) & 0xFF;
+    const end = (to >> shift) & 0xFF;
+    mixed |= Math.round(start + (end - start) * t) << shift;
+  }
+  return '#' + mixed.toString(16).padStart(6, '0').toUpperCase();
+}
+
+// Star field for the night sky, in the upper part of the screen
+export function createStars(width, height) {
+  const rng = new SeededRandom(STAR_SEED);
+  const stars = [];
+  for (let i = 0; i < STAR_COUNT; i++) {
+    stars.push({
+      x: rng.next() * width,
+      y: rng.next() * height * 0.6,
+      size: 0.5 + rng.next() * 1.5
+    });
+  }
+  return stars;
+}
@@ -1,8 +1,30 @@
 // Bird physics and rendering
 
+import { THEMES } from './themes.js';
+
 export const GRAVITY = 0.4;
 export const JUMP_VELOCITY = -7.5;
 export const TERMINAL_VELOCITY = 10;
+export const BIRD_RADIUS = 15;
+export const DEATH_POP_VELOCITY = -4; // Little hop before the fall
+export const DEATH_SPIN = 12; // Degrees per tick while falling dead
+export const ROTATION_EASE = 0.1; // Share of the way to the target tilt covered per tick
+export const FLAP_FRAME_MS = 66; // Each wing pose of a flap (~4 frames at 60fps)
+
+// Pixel-art bird, 12x10 cells of 3px: b body, w wing, e eye, p pupil, k beak
+const PIXEL_SIZE = 3;
+const PIXEL_BIRD = [
+  '...bbbbbb...',
+  '.bbbbbbbeee.',
+  'bbbbbbbeeepe',
+  'bwwwwbbeeepe',
+  'wwwwwwbbeee.',
+  'bwwwwbbbbkkk',
+  'bbwwbbbbkkkk',
+  'bbbbbbbbbkk.',
+  '.bbbbbbbbb..',
+  '...bbbbbb...'
+];
 
 export class Bird {
   constructor(x, y) {
@@ -10,34 +32,60 @@ export class Bird {
     this.y = y;
     this.velocity = 0;
     this.rotation = 0;
-    this.radius = 15;
+    this.radius = BIRD_RADIUS; // Shrinks with the shrink power-up
+    this.gravity = GRAVITY; // Set per difficulty profile
+    this.bodyColor = '#FFD93D';
+    this.wingColor = '#FFC107';
+    this.theme = THEMES.classic; // Face colors and drawing style
+
+    // Previous tick, for interpolated rendering
+    this.prevY = y;
+    this.prevRotation = 0;
 
     // Animation
     this.flapFrame = 0;
-    this.flapTimer = 0;
+    this.flapTimer = 0; // ms into the current pose
     this.isFlapping = false;
+    this.dead = false; // Spinning down after a crash
+
+    // Filled in by getBounds()/getHitShape() so collision checks don't allocate
+    this.bounds = { left: 0, right: 0, top: 0, bottom: 0 };
+    this.hitShape = { x: 0, y: 0, radiusX: 0, radiusY: 0, rotation: 0 };
   }
 
-  update(speed = 1) {
-    // Apply gravity (scaled by speed)
-    this.velocity += GRAVITY * speed;
+  // Physics for dt ticks of the bird's time scale (1 = one 60fps frame).
+  // Scroll speed doesn't come into it; the simulation passes that to the pipes.
+  update(dt = 1) {
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+
+    // Apply gravity
+    this.velocity += this.gravity * dt;
     this.velocity = Math.min(this.velocity, TERMINAL_VELOCITY);
-    this.y += this.velocity * speed;
+    this.y += this.velocity * dt;
+
+    if (this.dead) {
+      this.rotation += DEATH_SPIN * dt;
+      return;
+    }
 
     // Rotate bird based on velocity (-30 to 90 degrees)
     const targetRotation = Math.min(Math.max(this.velocity * 4, -25), 90);
-    this.rotation += (targetRotation - this.rotation) * 0.1;
+    this.rotation += (targetRotation - this.rotation) * Math.min(1, ROTATION_EASE * dt);
+  }
 
-    // Flap animation
-    if (this.isFlapping) {
-      this.flapTimer++;
-      if (this.flapTimer > 3) {
+  // Wing animation, by real elapsed time so it looks the same at any frame rate
+  animate(ms) {
+    if (!this.isFlapping) return;
+    this.flapTimer += ms;
+    while (this.flapTimer >= FLAP_FRAME_MS) {
+      this.flapTimer -= FLAP_FRAME_MS;
+      this.flapFrame++;
+      if (this.flapFrame > 2) {
+        this.flapFrame = 0;
         this.flapTimer = 0;
-        this.flapFrame++;
-        if (this.flapFrame > 2) {
-          this.flapFrame = 0;
-          this.isFlapping = false;
-        }
+        this.isFlapping = false;
+        return;
       }
     }
   }
@@ -49,38 +97,69 @@ export class Bird {
     this.flapTimer = 0;
   }
 
-  draw(ctx) {
+  die() {
+    this.dead = true;
+    this.velocity = DEATH_POP_VELOCITY;
+    this.isFlapping = false;
+    this.flapFrame = 0;
+  }
+
+  // alpha blends between the previous and current tick (1 = current)
+  draw(ctx, alpha = 1) {
+    const y = this.prevY + (this.y - this.prevY) * alpha;
+    const rotation = this.prevRotation + (this.rotation - this.prevRotation) * alpha;
+
     ctx.save();
-    ctx.translate(this.x, this.y);
-    ctx.rotate(this.rotation * Math.PI / 180);
+    ctx.translate(this.x, y);
+    ctx.rotate(rotation * Math.PI / 180);
+
+    // Drawn at full size, scaled to the current radius
+    const scale = this.radius / BIRD_RADIUS;
+    ctx.scale(scale, scale);
+
+    if (this.theme.glow) {
+      ctx.shadowBlur = this.theme.glow;
+      ctx.shadowColor = this.bodyColor;
+    }
+
+    if (this.theme.pixel) {
+      this.drawPixels(ctx);
+    } else {
+      this.drawSmooth(ctx);
+    }
+
+    ctx.restore();
+  }
+
+  drawSmooth(ctx) {
+    const colors = this.theme.bird;
 
     // Body
-    ctx.fillStyle = '#FFD93D';
+    ctx.fillStyle = this.bodyColor;
     ctx.beginPath();
-    ctx.ellipse(0, 0, this.radius + 3, this.radius, 0, 0, Math.PI * 2);
+    ctx.ellipse(0, 0, BIRD_RADIUS + 3, BIRD_RADIUS, 0, 0, Math.PI * 2);
     ctx.fill();
 
     // Wing
-    ctx.fillStyle = '#FFC107';
-    const wingOffset = this.flapFrame === 1 ? -8 : this.flapFrame === 2 ? -4 : 0;
+    ctx.fillStyle = this.wingColor;
     ctx.beginPath();
-    ctx.ellipse(-2, 2 + wingOffset, 8, 5, -0.3, 0, Math.PI * 2);
+    ctx.ellipse(-2, 2 + this.getWingOffset(), 8, 5, -0.3, 0, Math.PI * 2);
     ctx.fill();
 
-    // Eye (white)
-    ctx.fillStyle = 'white';
+    // Eye
+    ctx.fillStyle = colors.eye;
     ctx.beginPath();
     ctx.arc(8, -4, 7, 0, Math.PI * 2);
     ctx.fill();
 
     // Pupil
-    ctx.fillStyle = 'black';
+    ctx.fillStyle = colors.pupil;
     ctx.beginPath();
     ctx.arc(10, -3, 3, 0, Math.PI * 2);
     ctx.fill();
 
     // Beak
-    ctx.fillStyle = '#E31937';
+    ctx.fillStyle = colors.beak;
     ctx.beginPath();
     ctx.moveTo(12, 2);
     ctx.lineTo(22, 5);
@@ -90,22 +169,64 @@ export class Bird {
 
     // Blush (when jumping)
     if (this.isFlapping) {
-      ctx.fillStyle = 'rgba(255, 150, 150, 0.6)';
+      ctx.fillStyle = colors.blush;
       ctx.beginPath();
       ctx.arc(2, 6, 5, 0, Math.PI * 2);
       ctx.fill();
     }
+  }
 
-    ctx.restore();
+  // Same bird from PIXEL_BIRD; the wing cells shift up a whole cell per flap step
+  drawPixels(ctx) {
+    const colors = this.theme.bird;
+    const left = -PIXEL_BIRD[0].length * PIXEL_SIZE / 2;
+    const top = -PIXEL_BIRD.length * PIXEL_SIZE / 2;
+    const wingShift = Math.round(this.getWingOffset() / 4) * PIXEL_SIZE;
+
+    for (let y = 0; y < PIXEL_BIRD.length; y++) {
+      const row = PIXEL_BIRD[y];
+      for (let x = 0; x < row.length; x++) {
+        const cell = row[x];
+        if (cell === '.') continue;
+        // Under the wing is body
+        ctx.fillStyle = cell === 'e' ? colors.eye : cell === 'p' ? colors.pupil : cell === 'k' ? colors.beak : this.bodyColor;
+        ctx.fillRect(left + x * PIXEL_SIZE, top + y * PIXEL_SIZE, PIXEL_SIZE, PIXEL_SIZE);
+      }
+    }
+
+    ctx.fillStyle = this.wingColor;
+    for (let y = 0; y < PIXEL_BIRD.length; y++) {
+      const row = PIXEL_BIRD[y];
+      for (let x = 0; x < row.length; x++) {
+        if (row[x] !== 'w') continue;
+        ctx.fillRect(left + x * PIXEL_SIZE, top + y * PIXEL_SIZE + wingShift, PIXEL_SIZE, PIXEL_SIZE);
+      }
+    }
+  }
+
+  getWingOffset() {
+    return this.flapFrame === 1 ? -8 : this.flapFrame === 2 ? -4 : 0;
+  }
+
+  // Body ellipse as drawn in draw(), for precise collision.
+  // Like getBounds(), returns the same object each call, updated in place.
+  getHitShape() {
+    const shape = this.hitShape;
+    shape.x = this.x;
+    shape.y = this.y;
+    shape.radiusX = this.radius + 3;
+    shape.radiusY = this.radius;
+    shape.rotation = this.rotation * Math.PI / 180;
+    return shape;
   }
 
   getBounds() {
-    return {
-      left: this.x - this.radius,
-      right: this.x + this.radius,
-      top: this.y - this.radius,
-      bottom: this.y + this.radius
-    };
+    const bounds = this.bounds;
+    bounds.left = this.x - this.radius;
+    bounds.right = this.x + this.radius;
+    bounds.top = this.y - this.radius;
+    bounds.bottom = this.y + this.radius;
+    return bounds;
   }
 
   reset(x, y) {
@@ -113,7 +234,10 @@ export class Bird {
     this.y = y;
     this.velocity = 0;
     this.rotation = 0;
+    this.prevY = y;
+    this.prevRotation = 0;
     this.flapFrame = 0;
     this.isFlapping = false;
+    this.dead = false;
   }
 }
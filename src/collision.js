@@ -0,0 +1,74 @@
+// Collision helpers for the bird's rotated ellipse against pipe rectangles
+
+// ellipse: { x, y, radiusX, radiusY, rotation } (rotation in radians)
+// rect:    { left, top, right, bottom }
+export function ellipseIntersectsRect(ellipse, rect) {
+  const x = ellipse.x;
+  const y = ellipse.y;
+  const radiusX = ellipse.radiusX;
+  const radiusY = ellipse.radiusY;
+  const rotation = ellipse.rotation;
+
+  // Cheap reject using the ellipse's bounding circle
+  const reach = Math.max(radiusX, radiusY);
+  if (x + reach < rect.left || x - reach > rect.right ||
+      y + reach < rect.top || y - reach > rect.bottom) {
+    return false;
+  }
+
+  // Move the rectangle into the ellipse's frame (unrotate, then squash Y) so the
+  // ellipse becomes a circle of radiusX and the rectangle a parallelogram
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const squash = radiusX / radiusY;
+  setCorner(0, rect.left - x, rect.top - y, cos, sin, squash);
+  setCorner(1, rect.right - x, rect.top - y, cos, sin, squash);
+  setCorner(2, rect.right - x, rect.bottom - y, cos, sin, squash);
+  setCorner(3, rect.left - x, rect.bottom - y, cos, sin, squash);
+
+  // Circle center inside the polygon?
+  if (containsOrigin()) return true;
+
+  // Otherwise the circle must reach one of the edges
+  const radiusSq = radiusX * radiusX;
+  for (let i = 0; i < 4; i++) {
+    if (distanceSqToSegment(i, (i + 1) % 4) <= radiusSq) return true;
+  }
+  return false;
+}
+
+// Transformed corners as x0, y0, x1, y1, ... reused between calls so the
+// per-tick collision checks allocate nothing
+const corners = new Float64Array(8);
+
+function setCorner(i, dx, dy, cos, sin, squash) {
+  corners[i * 2] = dx * cos + dy * sin;
+  corners[i * 2 + 1] = (-dx * sin + dy * cos) * squash;
+}
+
+// Convex polygon test: origin is on the same side of every edge
+function containsOrigin() {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const j = (i + 1) % 4;
+    const cross = corners[i * 2] * corners[j * 2 + 1] - corners[i * 2 + 1] * corners[j * 2];
+    if (cross !== 0) {
+      if (sign === 0) sign = Math.sign(cross);
+      else if (Math.sign(cross) !== sign) return false;
+    }
+  }
+  return true;
+}
+
+// Squared distance from the origin to the segment between corners a and b
+function distanceSqToSegment(a, b) {
+  const ax = corners[a * 2];
+  const ay = corners[a * 2 + 1];
+  const ex = corners[b * 2] - ax;
+  const ey = corners[b * 2 + 1] - ay;
+  const lengthSq = ex * ex + ey * ey;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * ex + ay * ey) / lengthSq));
+  const px = ax + ex * t;
+  const py = ay + ey * t;
+  return px * px + py * py;
+}
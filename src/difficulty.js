@@ -0,0 +1,111 @@
+// Difficulty profiles
+//
+// Every tunable is a curve over score, in one of three shapes:
+//   0.4                          constant
+//   { start, step, limit }       start + step * score, clamped at limit
+//   [[0, 220], [20, 180], ...]   piecewise-linear keyframes (score, value)
+
+export const DIFFICULTY_PROFILES = {
+  easy: {
+    id: 'easy',
+    name: 'Easy',
+    speed: { start: 0.4, step: 0.03, limit: 0.8 },
+    gap: { start: 230, step: -3, limit: 190 },
+    spacing: 250,
+    gravity: 0.35
+  },
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    speed: { start: 0.5, step: 0.05, limit: 1.0 }, // 50% -> 100%, +5% per pipe
+    gap: { start: 200, step: -4, limit: 160 }, // -4px per pipe
+    spacing: 220,
+    gravity: 0.4
+  },
+  hard: {
+    id: 'hard',
+    name: 'Hard',
+    speed: { start: 0.7, step: 0.05, limit: 1.2 },
+    gap: { start: 180, step: -4, limit: 140 },
+    spacing: 200,
+    gravity: 0.45
+  },
+  insane: {
+    id: 'insane',
+    name: 'Insane',
+    speed: { start: 1.0, step: 0.04, limit: 1.5 },
+    gap: { start: 150, step: -2, limit: 120 },
+    spacing: [[0, 200], [20, 170]],
+    gravity: 0.5
+  }
+};
+
+export const DEFAULT_PROFILE = 'normal';
+export const CUSTOM_PROFILE = 'custom';
+
+const CURVE_KEYS = ['speed', 'gap', 'spacing', 'gravity'];
+
+export function evaluateCurve(curve, score) {
+  if (typeof curve === 'number') {
+    return curve;
+  }
+
+  if (Array.isArray(curve)) {
+    const points = curve.slice().sort((a, b) => a[0] - b[0]);
+    if (score <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      if (score <= x1) {
+        const [x0, y0] = points[i - 1];
+        return y0 + (y1 - y0) * ((score - x0) / (x1 - x0));
+      }
+    }
+    return points[points.length - 1][1];
+  }
+
+  const value = curve.start + curve.step * score;
+  if (curve.limit === undefined) return value;
+  return curve.step >= 0 ? Math.min(value, curve.limit) : Math.max(value, curve.limit);
+}
+
+export function isValidCurve(curve) {
+  if (typeof curve === 'number') {
+    return Number.isFinite(curve);
+  }
+  if (Array.isArray(curve)) {
+    return curve.length > 0 && curve.every(point =>
+      Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+  }
+  return !!curve && Number.isFinite(curve.start) && Number.isFinite(curve.step) &&
+    (curve.limit === undefined || Number.isFinite(curve.limit));
+}
+
+// Accepts a profile id or a profile object; missing or broken curves fall
+// back to Normal so a half-written custom profile still plays
+export function resolveProfile(profile) {
+  if (typeof profile === 'string') {
+    return DIFFICULTY_PROFILES[profile] ?? DIFFICULTY_PROFILES[DEFAULT_PROFILE];
+  }
+  if (!profile || typeof profile !== 'object') {
+    return DIFFICULTY_PROFILES[DEFAULT_PROFILE];
+  }
+
+  const base = DIFFICULTY_PROFILES[DEFAULT_PROFILE];
+  const resolved = {
+    id: profile.id ?? CUSTOM_PROFILE,
+    name: profile.name ?? 'Custom'
+  };
+  for (const key of CURVE_KEYS) {
+    resolved[key] = isValidCurve(profile[key]) ? profile[key] : base[key];
+  }
+  return resolved;
+}
+
+export function getDifficultyAt(profile, score) {
+  return {
+    speed: evaluateCurve(profile.speed, score),
+    gap: evaluateCurve(profile.gap, score),
+    spacing: evaluateCurve(profile.spacing, score),
+    gravity: evaluateCurve(profile.gravity, score)
+  };
+}
@@ -0,0 +1,29 @@
+// Minimal event emitter for game events
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  // Returns an unsubscribe function
+  on(event, callback) {
+    (this.listeners[event] ||= []).push(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    const callbacks = this.listeners[event];
+    if (!callbacks) return;
+    const index = callbacks.indexOf(callback);
+    if (index !== -1) callbacks.splice(index, 1);
+  }
+
+  emit(event, data) {
+    const callbacks = this.listeners[event];
+    if (!callbacks) return;
+    // Copy so listeners can unsubscribe while being called
+    for (const callback of callbacks.slice()) {
+      callback(data);
+    }
+  }
+}
@@ -1,200 +1,429 @@
-// Core game class
+// Core game class: Simulation plus canvas rendering
+//
+// On top of the simulation's events, emits:
+//   deathEnd  - the crash animation finished; the game over screen can show
 
+import { Simulation, GROUND_HEIGHT, FIXED_STEP, PARTNER_SKIN } from './simulation.js';
 import { Bird } from './bird.js';
-import { PipeManager } from './pipes.js';
+import { POWER_UPS, POWER_UP_TYPES, MAGNET_RANGE } from './powerups.js';
+import { getBiomePalette, createStars } from './biomes.js';
+import { ParticleSystem } from './particles.js';
+import { THEMES, resolveTheme, filterPalette } from './themes.js';
+import { SpriteCache } from './sprites.js';
+import { QUALITY_TIERS } from './quality.js';
+
+export { FIXED_STEP } from './simulation.js';
+
+// Death sequence, in ms
+export const HIT_STOP_MS = 100; // Everything holds still on impact
+export const SHAKE_MS = 330;
+export const SHAKE_MAGNITUDE = 8; // px at the start of a shake
+export const FLASH_MS = 250;
+export const DEATH_MIN_MS = 750; // Shortest crash, for birds that die on the ground
+
+export const PALETTE_STEPS = 24; // Distinct palettes per biome change; each one redraws the sprites
+const CLOUD_MARGIN = 80; // Room either side of the cloud layer for clouds hanging off the edge
+const CLOUD_LAYER_HEIGHT = 170;
+
+export class Game extends Simulation {
+  constructor(canvas, options = {}) {
+    super({
+      width: canvas.width,
+      height: canvas.height,
+      ...options
+    });
 
-const GROUND_HEIGHT = 80;
-
-export class Game {
-  constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
-    this.width = canvas.width;
-    this.height = canvas.height;
-
-    // Mobile detection for performance optimizations
-    this.isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-
-    // Game objects
-    this.bird = new Bird(80, this.height / 2);
-    this.pipes = new PipeManager(this.width, this.height, GROUND_HEIGHT);
-
-    // Game state
-    this.state = 'menu'; // 'menu' | 'ready' | 'playing' | 'gameover'
-    this.score = 0;
-    this.highScore = this.loadHighScore();
-    this.frozen = true; // Bird doesn't move until first pump
-    this.speed = 0.5; // Start at 50% speed
-    this.speedIncrement = 0.05; // Increase 5% per pipe
-    this.maxSpeed = 1.0; // Cap at 100%
-    this.gap = 200; // Start with wider gap
-    this.gapDecrement = 4; // Decrease 4px per pipe
-    this.minGap = 160; // Cap at minimum gap
-    this.gameOverTime = 0; // When game over started
-    this.restartCooldown = 3000; // 3 seconds before pump can restart
-
-    // Background elements
-    this.groundOffset = 0;
-    this.cloudOffset = 0;
-    this.clouds = this.generateClouds();
-
-    // Cache sky gradient for performance
-    this.skyGradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
-    this.skyGradient.addColorStop(0, '#87CEEB');
-    this.skyGradient.addColorStop(0.7, '#E0F6FF');
-    this.skyGradient.addColorStop(1, '#87CEEB');
-
-    // Animation
-    this.lastTime = 0;
-  }
-
-  generateClouds() {
-    const clouds = [];
-    const count = this.isMobile ? 3 : 5; // Fewer clouds on mobile
-    for (let i = 0; i < count; i++) {
-      clouds.push({
-        x: Math.random() * this.width,
-        y: 30 + Math.random() * 100,
-        size: 20 + Math.random() * 40
-      });
-    }
-    return clouds;
+    this.pixelRatio = options.pixelRatio ?? 1; // Canvas pixels per logical unit
+    this.sprites = new SpriteCache(options.createCanvas); // Pipes, clouds and ground, drawn once
+    this.sprites.pixelRatio = this.pixelRatio;
+    this.pipes.sprites = this.sprites;
+    // Sprite keys, refilled each frame, and redraw callbacks, so render() allocates nothing
+    this.cloudKey = [null, 0, null, null, 0]; // clouds, width, color, theme, quality
+    this.groundKey = [0, null, null, null, null, null, false]; // width, colors..., theme, grass
+    this.drawCloudSprite = ctx => this.drawCloudLayer(ctx, CLOUD_MARGIN);
+    this.drawGroundSprite = ctx => this.drawGroundTile(ctx);
+    this.stars = createStars(this.width, this.height);
+    this.ghostBird = new Bird(this.bird.x, this.bird.y); // Posed from the ghost each frame
+    this.ghostFrames = [{ y: 0, rotation: 0 }, { y: 0, rotation: 0 }]; // This tick's and the last
+    this.ghostAlpha = 0.35;
+    this.theme = resolveTheme(options.theme ?? this.storage.getItem('fappyTheme'));
+    this.applyCosmetics();
+
+    this.particles = new ParticleSystem();
+    this.setQuality(QUALITY_TIERS[QUALITY_TIERS.length - 1]);
+    this.death = null; // { bird, elapsed, landed } while the crash plays out
+    this.shakeTime = 0; // ms left
+    this.flashTime = 0;
+    this.attachEffects();
   }
 
-  loadHighScore() {
-    return parseInt(localStorage.getItem('fappyHighScore') || '0', 10);
-  }
-
-  saveHighScore() {
-    if (this.score > this.highScore) {
-      this.highScore = this.score;
-      localStorage.setItem('fappyHighScore', this.highScore.toString());
-    }
+  // Particle bursts, shake and the death sequence, driven by simulation events
+  attachEffects() {
+    this.on('jump', ({ player }) => {
+      const bird = this.birdFor(player);
+      this.particles.feathers(bird.x, bird.y, bird.wingColor);
+    });
+
+    this.on('score', ({ player }) => {
+      const bird = this.birdFor(player);
+      this.particles.popup(bird.x, bird.y - 30);
+    });
+
+    this.on('hit', ({ cause, lives, practice, player, playersLeft }) => {
+      const bird = this.birdFor(player);
+      if (!practice) this.shakeTime = SHAKE_MS;
+      if (!practice && lives === 0 && !playersLeft) this.startDeath(bird);
+
+      if (cause === 'ground') {
+        this.particles.dust(bird.x, this.height - GROUND_HEIGHT);
+      } else if (cause === 'pipe') {
+        this.particles.debris(bird.x + bird.radius, bird.y, this.pipes.colors[1]);
+      } else {
+        this.particles.feathers(bird.x, bird.y, bird.bodyColor, 10);
+      }
+    });
+
+    this.on('stateChange', ({ to }) => {
+      if (to === 'ready') {
+        this.particles.clear();
+        this.death = null;
+        this.shakeTime = 0;
+        this.flashTime = 0;
+      }
+    });
   }
 
-  start() {
-    if (this.state === 'menu' || this.state === 'gameover') {
-      this.reset();
-      this.state = 'ready'; // Wait for first pump
-      this.frozen = true;
-    }
+  startDeath(bird) {
+    bird.die();
+    this.death = { bird, elapsed: 0, landed: false };
+    this.flashTime = FLASH_MS;
   }
 
-  reset() {
-    this.bird.reset(80, this.height / 2);
-    this.pipes.reset();
-    this.score = 0;
-    this.frozen = true;
-    this.speed = 0.5;
-    this.gap = 200;
+  isDying() {
+    return this.death !== null;
   }
 
-  updateDifficulty() {
-    // Speed = 0.5 + 0.05 * score, capped at maxSpeed
-    this.speed = Math.min(0.5 + this.speedIncrement * this.score, this.maxSpeed);
-    // Gap = 200 - 4 * score, capped at minGap
-    this.gap = Math.max(200 - this.gapDecrement * this.score, this.minGap);
+  // No restarting over the top of the crash
+  canRestartFromGameOver() {
+    return !this.isDying() && super.canRestartFromGameOver();
   }
 
-  jump() {
-    if (this.state === 'playing') {
-      this.bird.jump();
-      return true;
-    } else if (this.state === 'ready') {
-      // First pump starts the game
-      this.frozen = false;
-      this.state = 'playing';
-      this.bird.jump();
-      return true;
-    } else if (this.state === 'menu') {
-      this.start();
-      return true;
-    } else if (this.state === 'gameover') {
-      if (this.canRestartFromGameOver()) {
-        this.start();
-        return true;
+  // Hit-stop, then the bird spins down to the ground. Returns the ms
+  // left over once hit-stop has had its share, for everything else to use.
+  updateDeath(ms) {
+    const death = this.death;
+    const stopped = Math.min(ms, Math.max(0, HIT_STOP_MS - death.elapsed));
+    const moving = ms - stopped;
+    death.elapsed += ms;
+    if (moving === 0) return 0;
+
+    const bird = death.bird;
+    const floor = this.height - GROUND_HEIGHT - bird.radius;
+    if (!death.landed) {
+      bird.update(moving / FIXED_STEP * this.getActiveTimeScale());
+      if (bird.y >= floor) {
+        bird.y = bird.prevY = floor;
+        bird.velocity = 0;
+        death.landed = true;
       }
-      return false;
     }
-    return false;
+
+    if (death.landed && death.elapsed >= DEATH_MIN_MS) {
+      this.death = null;
+      this.emit('deathEnd');
+    }
+    return moving;
   }
 
-  update(deltaTime = 16.67) {
-    if (this.state !== 'playing' && this.state !== 'ready') return;
-    if (this.frozen) return; // Bird stationary until first pump
+  // Co-op birds that just went down are still the ones to burst from
+  birdFor(player = 0) {
+    return this.coop ? this.players[player]?.bird ?? this.bird : this.bird;
+  }
 
-    // Normalize delta time to 60fps baseline (16.67ms per frame)
-    const dt = (deltaTime / 16.67) * this.speed;
+  // Effects keep playing after the run ends, but hold still while paused
+  update(deltaTime = FIXED_STEP) {
+    super.update(deltaTime);
+    if (this.state === 'paused') return;
+
+    let ms = deltaTime;
+    if (this.death) ms = this.updateDeath(ms);
+    this.bird.animate(ms);
+    this.partnerBird.animate(ms);
+    this.particles.update(ms);
+    this.shakeTime = Math.max(0, this.shakeTime - ms);
+    this.flashTime = Math.max(0, this.flashTime - ms);
+  }
 
-    // Update bird and pipes with normalized delta time
-    this.bird.update(dt);
-    this.pipes.update(dt, this.gap);
+  // Detail tier from the quality manager
+  setQuality(tier) {
+    this.quality = tier;
+    this.particles.limit = tier.particles;
+  }
 
-    // Check scoring
-    if (this.pipes.checkScore(this.bird)) {
-      this.score++;
-      this.updateDifficulty(); // Increase speed and decrease gap after scoring
-      return 'score';
-    }
+  getThemes() {
+    return Object.values(THEMES);
+  }
 
-    // Check collisions
-    const playableHeight = this.height - GROUND_HEIGHT;
+  getTheme() {
+    return this.theme;
+  }
 
-    // Ground/ceiling collision
-    if (this.bird.y < this.bird.radius ||
-        this.bird.y > playableHeight - this.bird.radius) {
-      this.gameOver();
-      return 'hit';
-    }
+  setTheme(id) {
+    this.theme = resolveTheme(id);
+    this.storage.setItem('fappyTheme', this.theme.id);
+    this.applyCosmetics();
+  }
 
-    // Pipe collision
-    if (this.pipes.checkCollision(this.bird)) {
-      this.gameOver();
-      return 'hit';
+  // Theme, plus the skin and background picked in the shop
+  applyCosmetics() {
+    const theme = this.theme;
+    const tint = theme.filter ?? (color => color);
+    const skin = this.shop.getSelected('skin');
+    for (const [bird, colors] of [[this.bird, skin], [this.ghostBird, skin], [this.partnerBird, PARTNER_SKIN]]) {
+      bird.theme = theme;
+      bird.bodyColor = tint(colors.bodyColor);
+      bird.wingColor = tint(colors.wingColor);
     }
+    this.pipes.theme = theme;
+
+    // The picked background stands in for the day biome. A bought one covers
+    // dawn as well, so it's the sky a run starts under; the free one leaves
+    // the dawn colors alone.
+    const background = this.shop.getSelected('background');
+    const sky = { sky: background.sky, clouds: background.clouds };
+    this.boughtSky = background.price > 0 ? sky : null;
+    this.biomeOverrides = this.boughtSky ? { dawn: sky, day: sky } : { day: sky };
+    this.updatePalette(true);
+  }
 
-    // Update background (scaled by delta time)
-    this.groundOffset = (this.groundOffset + 2.5 * dt) % 24;
-    this.cloudOffset = (this.cloudOffset + 0.5 * dt) % this.width;
-
-    return null;
+  // Blend the biome palette, only when the day/night position has moved
+  updatePalette(force = false) {
+    // In steps, so a blend redraws the sprites a handful of times rather than every frame
+    const progress = Math.round(this.getBiomeProgress() * PALETTE_STEPS) / PALETTE_STEPS;
+    if (!force && progress === this.paletteProgress) return;
+
+    this.paletteProgress = progress;
+    // A fixed theme palette keeps its pipes and ground under a bought sky
+    const fixed = this.theme.palette;
+    const palette = fixed ? { ...fixed, ...this.boughtSky } : getBiomePalette(progress, this.biomeOverrides);
+    this.palette = filterPalette(palette, this.theme.filter);
+    this.pipes.colors = this.palette.pipe;
+    this.skyGradient = this.createSkyGradient();
   }
 
-  gameOver() {
-    this.state = 'gameover';
-    this.gameOverTime = performance.now();
-    this.saveHighScore();
+  // Cache sky gradient for performance
+  createSkyGradient() {
+    const [top, middle, bottom] = this.palette.sky;
+    const gradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
+    gradient.addColorStop(0, top);
+    gradient.addColorStop(0.7, middle);
+    gradient.addColorStop(1, bottom);
+    return gradient;
   }
 
-  canRestartFromGameOver() {
-    return performance.now() - this.gameOverTime >= this.restartCooldown;
+  resize(width, height, pixelRatio = this.pixelRatio) {
+    super.resize(width, height);
+    this.pixelRatio = pixelRatio;
+    this.sprites.pixelRatio = pixelRatio;
+    this.stars = createStars(this.width, this.height);
+    this.skyGradient = this.createSkyGradient();
   }
 
-  render() {
+  render(alpha = this.getRenderAlpha()) {
     const ctx = this.ctx;
 
-    // Sky gradient (cached)
+    // Draw in logical units whatever the canvas resolution
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+
+    // Camera shake, easing off as it runs out
+    if (this.shakeTime > 0) {
+      const magnitude = SHAKE_MAGNITUDE * this.shakeTime / SHAKE_MS;
+      ctx.translate((Math.random() * 2 - 1) * magnitude, (Math.random() * 2 - 1) * magnitude);
+    }
+
+    this.updatePalette();
+
+    // Sky gradient (cached until the biome shifts)
     ctx.fillStyle = this.skyGradient;
     ctx.fillRect(0, 0, this.width, this.height);
 
-    // Clouds
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-    for (const cloud of this.clouds) {
-      const x = (cloud.x - this.cloudOffset + this.width) % this.width;
-      this.drawCloud(ctx, x, cloud.y, cloud.size);
+    // Stars and moon fade in towards night
+    if (this.palette.night > 0) {
+      this.drawNightSky(ctx, this.palette.night);
     }
 
+    // Clouds
+    this.drawClouds(ctx, lerpWrapped(this.prevCloudOffset, this.cloudOffset, alpha, this.width));
+
     // Pipes
-    this.pipes.draw(ctx);
+    this.pipes.draw(ctx, alpha);
 
     // Ground
-    this.drawGround(ctx);
+    this.drawGround(ctx, lerpWrapped(this.prevGroundOffset, this.groundOffset, alpha, 24));
+
+    // Ghost of the best run, behind the real bird
+    this.drawGhost(ctx, alpha);
 
-    // Bird
-    this.bird.draw(ctx);
+    // Bird (blinks while invulnerable after a respawn)
+    const dying = this.death?.bird;
+    const blinkedOut = this.isInvulnerable() && Math.floor(this.invulnerableTicks / 6) % 2 === 1;
+    const out = this.coop && !this.players[0].alive && dying !== this.bird;
+    if (!blinkedOut && !out) {
+      this.bird.draw(ctx, alpha);
+    }
+
+    // Co-op partner, until they go down (or while they fall)
+    if (this.coop && (this.players[1].alive || dying === this.partnerBird)) {
+      this.partnerBird.draw(ctx, alpha);
+    }
+
+    this.particles.draw(ctx);
+
+    this.drawPowerUpEffects(ctx, alpha);
+
+    // White flash on the crash, over everything and unshaken
+    if (this.flashTime > 0) {
+      ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+      ctx.fillStyle = `rgba(255, 255, 255, ${0.8 * this.flashTime / FLASH_MS})`;
+      ctx.fillRect(0, 0, this.width, this.height);
+    }
+  }
+
+  // Shield bubble, magnet range, slow-mo tint and a timer bar per effect
+  drawPowerUpEffects(ctx, alpha) {
+    const effects = this.effects;
+    if (!effects.hasAny()) return;
+
+    const bird = this.bird;
+    const y = bird.prevY + (bird.y - bird.prevY) * alpha;
+
+    if (effects.isActive('slowmo')) {
+      ctx.fillStyle = 'rgba(120, 80, 200, 0.12)';
+      ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    if (effects.isActive('magnet')) {
+      ctx.strokeStyle = 'rgba(255, 138, 101, 0.35)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(bird.x, y, MAGNET_RANGE, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    if (effects.isActive('shield')) {
+      ctx.fillStyle = 'rgba(79, 195, 247, 0.25)';
+      ctx.strokeStyle = POWER_UPS.shield.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(bird.x, y, bird.radius + 10, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // Timer bars, top left
+    let row = 0;
+    for (const type of POWER_UP_TYPES) {
+      if (!effects.isActive(type)) continue;
+      const barY = 20 + row * 16;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+      ctx.fillRect(20, barY, 80, 8);
+      ctx.fillStyle = POWER_UPS[type].color;
+      ctx.fillRect(20, barY, 80 * effects.fraction(type), 8);
+      row++;
+    }
+  }
+
+  drawGhost(ctx, alpha) {
+    if (!this.ghost || this.state === 'menu') return;
+    const frame = this.ghost.frameAt(this.tick, this.ghostFrames[0]);
+    if (!frame) return; // Ghost crashed here
+    const prev = this.ghost.frameAt(this.tick - 1, this.ghostFrames[1]) ?? frame;
+
+    const ghostBird = this.ghostBird;
+    ghostBird.x = this.bird.x;
+    ghostBird.prevY = prev.y;
+    ghostBird.y = frame.y;
+    ghostBird.prevRotation = prev.rotation;
+    ghostBird.rotation = frame.rotation;
+
+    ctx.save();
+    ctx.globalAlpha = this.ghostAlpha;
+    ghostBird.draw(ctx, alpha);
+    ctx.restore();
+  }
+
+  drawNightSky(ctx, night) {
+    ctx.save();
+    ctx.globalAlpha = night;
+
+    ctx.fillStyle = 'white';
+    for (const star of this.stars) {
+      ctx.fillRect(star.x, star.y, star.size, star.size);
+    }
+
+    // Crescent moon: a full disc with a sky-colored bite out of it
+    const moonX = this.width - 80;
+    const moonY = 70;
+    ctx.fillStyle = '#FDF6E3';
+    ctx.beginPath();
+    ctx.arc(moonX, moonY, 22, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = this.palette.sky[0];
+    ctx.beginPath();
+    ctx.arc(moonX + 9, moonY - 6, 19, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+  }
+
+  // The whole cloud layer is one sprite, drawn twice side by side to wrap
+  drawClouds(ctx, offset) {
+    const key = this.cloudKey;
+    key[0] = this.clouds;
+    key[1] = this.width;
+    key[2] = this.palette.clouds;
+    key[3] = this.theme;
+    key[4] = this.quality.clouds;
+    const layer = this.sprites.get(
+      'clouds', key, this.width + CLOUD_MARGIN * 2, CLOUD_LAYER_HEIGHT, this.drawCloudSprite
+    );
+
+    ctx.save();
+    ctx.globalAlpha = 0.8;
+    if (layer) {
+      ctx.drawImage(layer.canvas, -offset - CLOUD_MARGIN, 0, layer.width, layer.height);
+      ctx.drawImage(layer.canvas, this.width - offset - CLOUD_MARGIN, 0, layer.width, layer.height);
+    } else {
+      ctx.translate(-offset, 0);
+      this.drawCloudLayer(ctx, 0);
+      ctx.translate(this.width, 0);
+      this.drawCloudLayer(ctx, 0);
+    }
+    ctx.restore();
+  }
+
+  // Every run generates the full set, so changing tier mid-run doesn't move
+  // the clouds; lower quality tiers just draw fewer of them
+  drawCloudLayer(ctx, left) {
+    ctx.fillStyle = this.palette.clouds;
+    const count = Math.min(this.clouds.length, this.quality.clouds);
+    for (let i = 0; i < count; i++) {
+      const cloud = this.clouds[i];
+      this.drawCloud(ctx, left + cloud.x, cloud.y, cloud.size);
+    }
   }
 
   drawCloud(ctx, x, y, size) {
+    // Pixel art: stepped blocks on a 4px grid
+    if (this.theme.pixel) {
+      const snap = value => Math.round(value / 4) * 4;
+      ctx.fillRect(snap(x - size * 0.5), snap(y - size * 0.2), snap(size * 1.8), snap(size * 0.6));
+      ctx.fillRect(snap(x - size * 0.1), snap(y - size * 0.5), snap(size), snap(size * 0.4));
+      return;
+    }
+
     ctx.beginPath();
     ctx.arc(x, y, size * 0.5, 0, Math.PI * 2);
     ctx.arc(x + size * 0.4, y - size * 0.2, size * 0.4, 0, Math.PI * 2);
@@ -203,50 +432,73 @@ export class Game {
     ctx.fill();
   }
 
-  drawGround(ctx) {
+  // One sprite a blade wider than the screen, slid left by the offset
+  drawGround(ctx, groundOffset = this.groundOffset) {
     const groundY = this.height - GROUND_HEIGHT;
+    const ground = this.palette.ground;
+    const key = this.groundKey;
+    key[0] = this.width;
+    key[1] = ground.dirt;
+    key[2] = ground.grass[0];
+    key[3] = ground.grass[1];
+    key[4] = ground.blades;
+    key[5] = this.theme;
+    key[6] = this.quality.grassPattern;
+    const tile = this.sprites.get('ground', key, this.width + 24, GROUND_HEIGHT, this.drawGroundSprite);
+
+    if (tile) {
+      ctx.drawImage(tile.canvas, -groundOffset, groundY, tile.width, tile.height);
+      return;
+    }
+    ctx.save();
+    ctx.translate(-groundOffset, groundY);
+    this.drawGroundTile(ctx);
+    ctx.restore();
+  }
+
+  drawGroundTile(ctx) {
+    const width = this.width + 24;
+    const { dirt, grass, blades } = this.palette.ground;
 
     // Dirt
-    ctx.fillStyle = '#8B4513';
-    ctx.fillRect(0, groundY + 20, this.width, GROUND_HEIGHT - 20);
+    ctx.fillStyle = dirt;
+    ctx.fillRect(0, 20, width, GROUND_HEIGHT - 20);
 
-    // Grass top - use solid color on mobile, gradient on desktop
-    if (this.isMobile) {
-      ctx.fillStyle = '#228B22';
+    // Grass top (solid in pixel art)
+    if (this.theme.pixel) {
+      ctx.fillStyle = grass[0];
     } else {
-      const grassGradient = ctx.createLinearGradient(0, groundY, 0, groundY + 25);
-      grassGradient.addColorStop(0, '#228B22');
-      grassGradient.addColorStop(1, '#2E8B57');
+      const grassGradient = ctx.createLinearGradient(0, 0, 0, 25);
+      grassGradient.addColorStop(0, grass[0]);
+      grassGradient.addColorStop(1, grass[1]);
       ctx.fillStyle = grassGradient;
     }
-    ctx.fillRect(0, groundY, this.width, 25);
-
-    // Grass pattern - skip on mobile for performance
-    if (!this.isMobile) {
-      ctx.fillStyle = '#1E7A1E';
-      for (let i = -this.groundOffset; i < this.width + 24; i += 24) {
+    ctx.fillRect(0, 0, width, 25);
+
+    // Grass pattern (dropped on the lowest quality tier)
+    if (this.quality.grassPattern) {
+      ctx.fillStyle = blades;
+      for (let i = 0; i < width; i += 24) {
+        if (this.theme.pixel) {
+          ctx.fillRect(i, 0, 12, 6);
+          continue;
+        }
         ctx.beginPath();
-        ctx.moveTo(i, groundY);
-        ctx.lineTo(i + 12, groundY + 10);
-        ctx.lineTo(i + 24, groundY);
+        ctx.moveTo(i, 0);
+        ctx.lineTo(i + 12, 10);
+        ctx.lineTo(i + 24, 0);
         ctx.fill();
       }
     }
 
     // Grass highlight
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-    ctx.fillRect(0, groundY, this.width, 3);
-  }
-
-  getScore() {
-    return this.score;
-  }
-
-  getHighScore() {
-    return this.highScore;
+    ctx.fillStyle = this.theme.highlight;
+    ctx.fillRect(0, 0, width, 3);
   }
+}
 
-  getState() {
-    return this.state;
-  }
+// Interpolate an offset that wraps around at `period`
+function lerpWrapped(prev, current, alpha, period) {
+  if (current < prev) current += period;
+  return (prev + (current - prev) * alpha) % period;
 }
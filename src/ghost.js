@@ -0,0 +1,83 @@
+// Ghost of the personal-best run
+//
+// A ghost is the bird's trajectory, one frame per simulation tick, plus the
+// ticks it scored on. On the same seed and difficulty the pipes are laid out
+// identically, so frame N of the ghost lines up with tick N of a later run.
+// { version, seed, difficulty, width, score, ticks, frames: [y, rotation, ...], scoreTicks }
+
+export const GHOST_VERSION = 2; // 2: pipe variants change layouts past the early scores
+
+export class GhostRecorder {
+  constructor(seed, difficulty, width) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.width = width;
+    this.frames = [];
+    this.scoreTicks = [];
+  }
+
+  // Call once per tick, starting at tick 0
+  record(bird) {
+    // One decimal is plenty for drawing and keeps saved ghosts small
+    this.frames.push(Math.round(bird.y * 10) / 10, Math.round(bird.rotation * 10) / 10);
+  }
+
+  recordScore(tick) {
+    this.scoreTicks.push(tick);
+  }
+
+  finish(score) {
+    return {
+      version: GHOST_VERSION,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      width: this.width,
+      score,
+      ticks: this.frames.length / 2 - 1,
+      frames: this.frames.slice(),
+      scoreTicks: this.scoreTicks.slice()
+    };
+  }
+}
+
+export class Ghost {
+  constructor(data) {
+    if (!isValidGhost(data)) {
+      throw new Error('Invalid ghost');
+    }
+    this.data = data;
+  }
+
+  get score() {
+    return this.data.score;
+  }
+
+  // Bird pose at a tick, or null once the ghost's run is over. Per-frame
+  // callers pass `into` to have their own object filled in.
+  frameAt(tick, into = {}) {
+    if (tick < 0 || tick > this.data.ticks) return null;
+    const frames = this.data.frames;
+    into.y = frames[tick * 2];
+    into.rotation = frames[tick * 2 + 1];
+    return into;
+  }
+
+  // Points the ghost had on the board by this tick
+  scoreAt(tick) {
+    let score = 0;
+    while (score < this.data.scoreTicks.length && this.data.scoreTicks[score] <= tick) {
+      score++;
+    }
+    return score;
+  }
+}
+
+export function isValidGhost(ghost) {
+  return !!ghost &&
+    ghost.version === GHOST_VERSION &&
+    Array.isArray(ghost.frames) &&
+    ghost.frames.length >= 2 &&
+    Array.isArray(ghost.scoreTicks) &&
+    Number.isInteger(ghost.ticks) &&
+    Number.isInteger(ghost.score);
+}
@@ -13,7 +13,9 @@ export class HandTracker {
 
     // Camera settings
     this.facingMode = 'user'; // 'user' = front, 'environment' = back
-    this.isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+    this.isMobile = typeof navigator !== 'undefined' &&
+      /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+    this.debugDetail = 'full'; // 'full' | 'simple', set by the quality manager
 
     // Worker callback for async results
     this.onDetectionResult = null;
@@ -29,6 +31,8 @@ export class HandTracker {
     this.lastValidCenter = null;
     this.lastValidHand = null;
 
+    // Co-op: both hands' centers, by which half of the (mirrored) frame they're in
+    this.handCenters = [null, null]; // [left, right]
   }
 
   async init(videoElement, debugCanvas) {
@@ -223,6 +227,7 @@ export class HandTracker {
       }
       this.lastHand = null;
       this.lastHandCenter = null;
+      this.handCenters = [null, null];
       this.clearDebug();
       return null;
     }
@@ -230,6 +235,7 @@ export class HandTracker {
     this.lostFrames = 0;
     const handPositions = hands.map(hand => this.getHandCenter(hand));
     this.updateHandHistories(handPositions);
+    this.updateHandCenters(handPositions);
     const activeHand = this.selectActiveHand(hands, handPositions);
 
     if (activeHand) {
@@ -279,6 +285,7 @@ export class HandTracker {
         // Truly lost - clear everything
         this.lastHand = null;
         this.lastHandCenter = null;
+        this.handCenters = [null, null];
         this.clearDebug();
         return null;
       }
@@ -292,6 +299,7 @@ export class HandTracker {
 
       // Update histories and find the most active (moving) hand
       this.updateHandHistories(handPositions);
+      this.updateHandCenters(handPositions);
       const activeHand = this.selectActiveHand(hands, handPositions);
 
       if (activeHand) {
@@ -346,6 +354,25 @@ export class HandTracker {
     }
   }
 
+  // Two hands split left/right; a lone hand belongs to whichever side it's on,
+  // so a hand dropping out of frame doesn't pass its bird to the other player
+  updateHandCenters(positions) {
+    const found = positions.filter(Boolean).slice(0, 2).sort((a, b) => a.x - b.x);
+    if (found.length === 2) {
+      this.handCenters = found;
+    } else if (found.length === 1) {
+      const midX = (this.video?.videoWidth || 640) / 2;
+      this.handCenters = found[0].x < midX ? [found[0], null] : [null, found[0]];
+    } else {
+      this.handCenters = [null, null];
+    }
+  }
+
+  // [left, right] hand centers for two-player mode (null where no hand is seen)
+  getHandPositions() {
+    return this.handCenters;
+  }
+
   selectActiveHand(hands, positions) {
     if (hands.length === 1) {
       return { hand: hands[0], center: positions[0], isActive: true };
@@ -387,8 +414,8 @@ export class HandTracker {
 
   drawDebug(hand, isActive = true) {
     if (!this.debugCtx || !this.debugCanvas) return;
-    // Skip detailed drawing on mobile for performance
-    if (this.isMobile) {
+    // Skip detailed drawing when the device is struggling
+    if (this.debugDetail === 'simple') {
       this.drawDebugSimple(hand);
       return;
     }
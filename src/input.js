@@ -3,6 +3,10 @@
 export class InputManager {
   constructor() {
     this.jumpCallbacks = [];
+    this.pauseCallbacks = [];
+    this.rewindCallbacks = [];
+    this.canvas = null;
+    this.viewport = null;
     this.setupKeyboard();
     this.setupTouch();
   }
@@ -11,8 +15,30 @@ export class InputManager {
     this.jumpCallbacks.push(callback);
   }
 
-  triggerJump() {
+  // player is 0 or 1, for co-op: W/Space or the left half of the screen fly
+  // the first bird, Up or the right half the second
+  triggerJump(point = null, player = 0) {
     for (const callback of this.jumpCallbacks) {
+      callback(point, player);
+    }
+  }
+
+  onPause(callback) {
+    this.pauseCallbacks.push(callback);
+  }
+
+  triggerPause() {
+    for (const callback of this.pauseCallbacks) {
+      callback();
+    }
+  }
+
+  onRewind(callback) {
+    this.rewindCallbacks.push(callback);
+  }
+
+  triggerRewind() {
+    for (const callback of this.rewindCallbacks) {
       callback();
     }
   }
@@ -21,7 +47,15 @@ export class InputManager {
     document.addEventListener('keydown', (e) => {
       if (e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'KeyW') {
         e.preventDefault();
-        this.triggerJump();
+        this.triggerJump(null, e.code === 'ArrowUp' ? 1 : 0);
+      } else if (e.ctrlKey || e.metaKey) {
+        return; // Leave browser shortcuts (print, reload, ...) alone
+      } else if (e.code === 'KeyP' || e.code === 'Escape') {
+        e.preventDefault();
+        this.triggerPause();
+      } else if (e.code === 'KeyR' || e.code === 'Backspace') {
+        e.preventDefault();
+        this.triggerRewind();
       }
     });
   }
@@ -29,30 +63,43 @@ export class InputManager {
   setupTouch() {
     const gameCanvas = document.getElementById('game');
     if (gameCanvas) {
-      gameCanvas.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        this.triggerJump();
-      });
-
-      gameCanvas.addEventListener('click', (e) => {
-        // Only trigger if not clicking a button
-        if (e.target === gameCanvas) {
-          this.triggerJump();
-        }
-      });
+      this.setupCanvas(gameCanvas);
     }
   }
 
-  setupCanvas(canvas) {
+  // viewport (optional) maps pointer positions to logical game coordinates,
+  // which are passed to jump callbacks ({ x, y }, or null for keys)
+  setupCanvas(canvas, viewport = null) {
+    if (viewport) {
+      this.viewport = viewport;
+    }
+
+    // Listeners are only attached once per canvas
+    if (canvas === this.canvas) return;
+    this.canvas = canvas;
+
     canvas.addEventListener('touchstart', (e) => {
       e.preventDefault();
-      this.triggerJump();
+      for (const touch of e.changedTouches) {
+        this.triggerJump(this.toLogical(touch.clientX, touch.clientY), this.sideOf(touch.clientX));
+      }
     });
 
     canvas.addEventListener('click', (e) => {
+      // Only trigger if not clicking a button
       if (e.target === canvas) {
-        this.triggerJump();
+        this.triggerJump(this.toLogical(e.clientX, e.clientY), this.sideOf(e.clientX));
       }
     });
   }
+
+  // 0 for the left half of the canvas, 1 for the right
+  sideOf(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    return clientX < rect.left + rect.width / 2 ? 0 : 1;
+  }
+
+  toLogical(clientX, clientY) {
+    return this.viewport ? this.viewport.clientToLogical(clientX, clientY) : null;
+  }
 }
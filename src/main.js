@@ -5,6 +5,8 @@ import { HandTracker } from './handTracking.js';
 import { MotionDetector } from './motionDetection.js';
 import { InputManager } from './input.js';
 import { AudioManager } from './audio.js';
+import { Viewport } from './viewport.js';
+import { QualityManager } from './quality.js';
 
 class FappyBird {
   constructor() {
@@ -15,11 +17,40 @@ class FappyBird {
     this.statusEl = document.getElementById('status');
     this.scoreDisplay = document.getElementById('score-display');
     this.scoreEl = document.getElementById('score');
+    this.livesEl = document.getElementById('lives');
+    this.ghostDeltaEl = document.getElementById('ghost-delta');
+    this.coopScoresEl = document.getElementById('coop-scores');
+    this.coopResultEl = document.getElementById('coop-result');
+    this.coopHintEl = document.getElementById('coop-hint');
+    this.playersBtn = document.getElementById('players-btn');
+    this.runCoinsEl = document.getElementById('run-coins');
+    this.coinResultEl = document.getElementById('coin-result');
+    this.shopBtn = document.getElementById('shop-btn');
+    this.shopScreen = document.getElementById('shop');
+    this.shopCoinsEl = document.getElementById('shop-coins');
+    this.shopSkinsEl = document.getElementById('shop-skins');
+    this.shopBackgroundsEl = document.getElementById('shop-backgrounds');
     this.menuScreen = document.getElementById('menu');
+    this.difficultyPicker = document.getElementById('difficulty-picker');
+    this.menuBestEl = document.getElementById('menu-best');
+    this.themePicker = document.getElementById('theme-picker');
     this.readyScreen = document.getElementById('ready');
+    this.pausedScreen = document.getElementById('paused');
+    this.resumeCountdownEl = document.getElementById('resume-countdown');
     this.gameoverScreen = document.getElementById('gameover');
     this.finalScoreEl = document.getElementById('final-score');
     this.losePhraseEl = document.getElementById('lose-phrase');
+    this.wonScreen = document.getElementById('won');
+    this.wonScoreEl = document.getElementById('won-score');
+    this.winPhraseEl = document.getElementById('win-phrase');
+    this.winCountEl = document.getElementById('win-count');
+    this.replayBtn = document.getElementById('replay-btn');
+    this.wonReplayBtn = document.getElementById('won-replay-btn');
+    this.replayBadge = document.getElementById('replay-badge');
+    this.practiceBtn = document.getElementById('practice-btn');
+    this.practiceBadge = document.getElementById('practice-badge');
+    this.endRunBtn = document.getElementById('end-run-btn');
+    this.rewindHint = document.getElementById('rewind-hint');
 
     // Random lose phrases
     this.losePhrases = [
@@ -35,41 +66,142 @@ class FappyBird {
       'Performance Issues!'
     ];
 
-    // Set canvas size
-    this.canvas.width = 600;
-    this.canvas.height = 900;
+    // Random win phrases
+    this.winPhrases = [
+      'Happy Ending!',
+      'You Finished!',
+      'Mission Accomplished!',
+      'Stamina of a Legend!',
+      'Nailed It!'
+    ];
+
+    // Size the canvas to the screen and device pixel ratio
+    this.viewport = new Viewport(this.canvas, document.getElementById('game-container'));
+    this.viewport.fit();
 
     // Initialize systems
-    this.game = new Game(this.canvas);
+    // ?seed=<number|string> pins the pipe layout and background for every run,
+    // ?difficulty=<easy|normal|hard|insane|custom> overrides the saved profile,
+    // ?lives=<n> gives each run n lives instead of one,
+    // ?practice=1 turns practice mode on, ?players=2 starts in two-player co-op,
+    // ?theme=<classic|neon|pixel|mono> overrides the saved theme,
+    // ?quality=<low|medium|high> fixes the detail tier instead of adapting it
+    const params = new URLSearchParams(window.location.search);
+    this.game = new Game(this.canvas, {
+      width: this.viewport.width,
+      height: this.viewport.height,
+      pixelRatio: this.viewport.pixelRatio,
+      seed: params.get('seed'),
+      difficulty: params.get('difficulty'),
+      lives: parseInt(params.get('lives'), 10) || 1,
+      practice: params.get('practice') === '1',
+      players: params.get('players') === '2' ? 2 : 1,
+      theme: params.get('theme')
+    });
     this.handTracker = new HandTracker();
     this.motionDetector = new MotionDetector();
+    this.coopMotionDetectors = [new MotionDetector(), new MotionDetector()]; // One per hand in co-op
     this.inputManager = new InputManager();
     this.audio = new AudioManager();
+    this.quality = new QualityManager();
+    this.quality.pin(params.get('quality'));
 
     // State
     this.handTrackingEnabled = false;
     this.lastDetectionTime = 0;
     this.detectionInProgress = false;
-    this.isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-    this.detectionInterval = 33; // ~30fps for hand detection
+    this.detectionInterval = 33; // ms between hand detections, set by the quality tier
     this.lastFrameTime = 0; // For delta time calculation
+    this.lastJumpSource = null; // 'hand' | 'input' - only hand players pause when the hand is lost
+    this.shopOpen = false; // Shop replaces the menu while open
 
     // Bind methods
     this.gameLoop = this.gameLoop.bind(this);
     this.handleJump = this.handleJump.bind(this);
+    this.handleInputJump = this.handleInputJump.bind(this);
+
+    this.applyQuality(this.quality.tier);
+    this.quality.onChange(tier => this.applyQuality(tier));
 
     this.init();
   }
 
+  // Detail tier: scenery and particles, debug skeleton and how often to detect
+  applyQuality(tier) {
+    this.game.setQuality(tier);
+    this.handTracker.debugDetail = tier.skeleton;
+    this.detectionInterval = tier.detectionInterval;
+  }
+
   async init() {
     // Initialize audio
     this.audio.init();
+    this.audio.attach(this.game);
+
+    // UI follows game events instead of polling every frame
+    this.game.on('stateChange', () => this.updateUI());
+    this.game.on('score', () => this.updateUI());
+    this.game.on('respawn', () => this.updateUI());
+    this.game.on('hit', ({ practice, player }) => {
+      if (practice || player !== undefined) this.updateUI();
+    });
+    this.game.on('rewind', () => this.updateUI());
+    this.game.on('countdown', () => this.updateUI());
+    this.game.on('coin', () => this.updateUI());
+    this.game.on('deathEnd', () => this.updateUI());
 
     // Setup input callbacks
-    this.inputManager.onJump(this.handleJump);
-    this.inputManager.setupCanvas(this.canvas);
+    this.inputManager.onJump(this.handleInputJump);
+    this.inputManager.onPause(() => this.game.togglePause());
+    this.inputManager.onRewind(() => this.game.rewind());
+    this.inputManager.setupCanvas(this.canvas, this.viewport);
+
+    // Re-lay out on resize / rotation
+    this.viewport.onResize((width, height, pixelRatio) => {
+      this.game.resize(width, height, pixelRatio);
+      this.game.render();
+    });
+    this.viewport.listen();
+
+    // Auto-pause when the player looks away
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.pauseGame();
+    });
+    window.addEventListener('blur', () => this.pauseGame());
 
     // Setup UI buttons
+    this.renderDifficultyPicker();
+    this.renderThemePicker();
+    this.renderPracticeToggle();
+    this.renderPlayersToggle();
+    this.renderShopButton();
+
+    this.shopBtn.addEventListener('click', () => {
+      this.shopOpen = true;
+      this.renderShop();
+      this.updateUI();
+    });
+
+    document.getElementById('shop-back-btn').addEventListener('click', () => {
+      this.shopOpen = false;
+      this.renderShopButton();
+      this.updateUI();
+    });
+
+    this.playersBtn.addEventListener('click', () => {
+      this.game.setPlayers(this.game.getPlayerCount() === 2 ? 1 : 2);
+      this.renderPlayersToggle();
+    });
+
+    this.practiceBtn.addEventListener('click', () => {
+      this.game.setPractice(!this.game.isPracticeEnabled());
+      this.renderPracticeToggle();
+    });
+
+    this.endRunBtn.addEventListener('click', () => {
+      this.game.quit();
+    });
+
     document.getElementById('start-btn').addEventListener('click', () => {
       this.audio.resume();
       this.startGame();
@@ -92,6 +224,35 @@ class FappyBird {
       this.shareScore();
     });
 
+    document.getElementById('resume-btn').addEventListener('click', () => {
+      this.game.resume();
+    });
+
+    document.getElementById('won-retry-btn').addEventListener('click', () => {
+      this.audio.resume();
+      this.startGame();
+    });
+
+    document.getElementById('won-share-btn').addEventListener('click', () => {
+      this.shareScore();
+    });
+
+    this.replayBtn.addEventListener('click', () => {
+      this.watchReplay();
+    });
+
+    this.wonReplayBtn.addEventListener('click', () => {
+      this.watchReplay();
+    });
+
+    // Back to the menu, where the shop shows what the run just banked
+    for (const id of ['menu-btn', 'won-menu-btn']) {
+      document.getElementById(id).addEventListener('click', () => {
+        this.game.toMenu();
+        this.renderShopButton();
+      });
+    }
+
     // Camera switch button (only shown on mobile)
     const switchCamBtn = document.getElementById('switch-cam-btn');
     if (switchCamBtn) {
@@ -180,6 +341,88 @@ class FappyBird {
     }
   }
 
+  renderDifficultyPicker() {
+    this.difficultyPicker.textContent = '';
+    const selected = this.game.getDifficulty().id;
+
+    for (const profile of this.game.getProfiles()) {
+      const btn = document.createElement('button');
+      btn.className = profile.id === selected ? 'difficulty-btn selected' : 'difficulty-btn';
+      btn.textContent = profile.name;
+      btn.addEventListener('click', () => {
+        this.game.setDifficulty(profile.id);
+        this.renderDifficultyPicker();
+      });
+      this.difficultyPicker.appendChild(btn);
+    }
+
+    const best = this.game.getHighScore();
+    this.menuBestEl.textContent = best > 0 ? `Best on ${this.game.getDifficulty().name}: ${best}` : '';
+  }
+
+  renderThemePicker() {
+    this.themePicker.textContent = '';
+    const selected = this.game.getTheme().id;
+
+    for (const theme of this.game.getThemes()) {
+      const btn = document.createElement('button');
+      btn.className = theme.id === selected ? 'difficulty-btn selected' : 'difficulty-btn';
+      btn.textContent = theme.name;
+      btn.addEventListener('click', () => {
+        this.game.setTheme(theme.id);
+        this.game.render();
+        this.renderThemePicker();
+      });
+      this.themePicker.appendChild(btn);
+    }
+  }
+
+  renderPracticeToggle() {
+    const enabled = this.game.isPracticeEnabled();
+    this.practiceBtn.classList.toggle('selected', enabled);
+    this.practiceBtn.textContent = `Practice Mode: ${enabled ? 'On' : 'Off'}`;
+  }
+
+  renderPlayersToggle() {
+    const coop = this.game.getPlayerCount() === 2;
+    this.playersBtn.classList.toggle('selected', coop);
+    this.playersBtn.textContent = coop ? 'Two Players' : 'One Player';
+  }
+
+  renderShopButton() {
+    this.shopBtn.textContent = `Shop (${this.game.getCoins()} coins)`;
+  }
+
+  renderShop() {
+    const shop = this.game.getShop();
+    this.shopCoinsEl.textContent = `${shop.getCoins()} coins`;
+    this.renderShopItems(this.shopSkinsEl, 'skin');
+    this.renderShopItems(this.shopBackgroundsEl, 'background');
+  }
+
+  // One button per item: buys it if affordable, then wears it
+  renderShopItems(container, kind) {
+    const shop = this.game.getShop();
+    const selected = shop.getSelected(kind).id;
+    container.textContent = '';
+
+    for (const item of shop.getItems(kind)) {
+      const owned = shop.isOwned(kind, item.id);
+      const btn = document.createElement('button');
+      btn.className = item.id === selected ? 'difficulty-btn selected' : 'difficulty-btn';
+      btn.textContent = owned ? item.name : `${item.name} \u00b7 ${item.price}`;
+      btn.disabled = !owned && shop.getCoins() < item.price;
+      btn.addEventListener('click', () => {
+        if (!owned && !shop.buy(kind, item.id)) return;
+        shop.select(kind, item.id);
+        this.game.applyCosmetics();
+        this.game.render();
+        this.renderShop();
+      });
+      container.appendChild(btn);
+    }
+  }
+
   showLoadingOverlay(show) {
     let overlay = document.getElementById('loading-overlay');
     if (show) {
@@ -204,27 +447,39 @@ class FappyBird {
     }
   }
 
-  handleJump() {
-    if (this.game.jump()) {
-      this.audio.resume();
-      this.audio.playJump();
+  handleInputJump(point, player = 0) {
+    this.handleJump('input', player);
+  }
 
-      // Visual feedback
-      this.canvas.classList.add('jump-flash');
-      setTimeout(() => this.canvas.classList.remove('jump-flash'), 150);
-    }
+  handleJump(source = 'input', player = 0) {
+    if (this.shopOpen) return; // Browsing the shop, not flying
+    this.lastJumpSource = source;
+    // Audio can only start after a user gesture
+    this.audio.resume();
+    this.game.jump(player);
+  }
+
+  pauseGame() {
+    this.game.pause();
   }
 
   startGame() {
     this.game.start();
     this.motionDetector.reset();
-    this.updateUI();
+    this.coopMotionDetectors.forEach(detector => detector.reset());
+  }
+
+  watchReplay() {
+    const replay = this.game.getLastReplay();
+    if (!replay) return;
+    this.game.playReplay(replay);
   }
 
   async gameLoop(timestamp) {
     // Calculate delta time (capped at 50ms to prevent huge jumps on tab switch)
     const deltaTime = Math.min(timestamp - this.lastFrameTime, 50);
     this.lastFrameTime = timestamp;
+    this.quality.recordFrame(deltaTime);
 
     // Hand tracking (throttled, non-blocking)
     if (this.handTrackingEnabled && !this.detectionInProgress &&
@@ -237,40 +492,39 @@ class FappyBird {
       });
     }
 
-    // Update game with delta time
-    const event = this.game.update(deltaTime);
-
-    if (event === 'score') {
-      this.audio.playScore();
-    } else if (event === 'hit') {
-      this.audio.playHit();
-      setTimeout(() => this.audio.playGameOver(), 200);
-    }
+    // Game banks frame time and advances physics in fixed 60Hz ticks;
+    // audio and UI react to the events it emits
+    this.game.update(deltaTime);
+    // The ghost scores on its own ticks, which emit no events
+    if (this.game.getState() === 'playing') this.updateGhostDelta();
 
-    // Render
+    // Render (interpolated between the last two ticks)
     this.game.render();
 
-    // Update UI
-    this.updateUI();
-
     // Continue loop
     requestAnimationFrame(this.gameLoop);
   }
 
   async processHandTracking() {
+    const started = performance.now();
     const hand = await this.handTracker.detect();
+    this.quality.recordDetection(performance.now() - started);
     const state = this.game.getState();
 
     if (hand) {
+      if (this.game.getPlayerCount() === 2) {
+        this.trackCoopHands(state);
+        return;
+      }
+
       // Use hand center (works better for horizontal grip)
       const position = this.handTracker.getWristPosition();
       if (!position) return;
 
       const shouldJump = this.motionDetector.update(position.y);
 
-      // Allow pump to start from menu, ready, gameover, won, or during play
-      if (shouldJump && (state === 'playing' || state === 'ready' || state === 'menu' || state === 'gameover' || state === 'won')) {
-        this.handleJump();
+      if (shouldJump && this.acceptsPump(state)) {
+        this.handleJump('hand');
       }
 
       // Update debug status
@@ -278,9 +532,39 @@ class FappyBird {
       this.updateStatus(`v: ${debug.velocity.toFixed(1)} | ${debug.state}`);
     } else {
       this.updateStatus('No hand detected');
+      // Losing the hand mid-run pauses instead of letting the bird drop
+      if (state === 'playing' && this.lastJumpSource === 'hand') {
+        this.pauseGame();
+      }
     }
   }
 
+  // Allow pump to start from menu, ready, gameover, won, resume from pause, or during play
+  acceptsPump(state) {
+    return state === 'playing' || state === 'ready' || state === 'paused' ||
+      state === 'menu' || state === 'gameover' || state === 'won';
+  }
+
+  // Co-op: each hand drives the bird on its side of the screen
+  trackCoopHands(state) {
+    const positions = this.handTracker.getHandPositions();
+    const status = [];
+
+    positions.forEach((position, player) => {
+      const detector = this.coopMotionDetectors[player];
+      if (!position) {
+        status.push(`P${player + 1}: -`);
+        return;
+      }
+      if (detector.update(position.y) && this.acceptsPump(state)) {
+        this.handleJump('hand', player);
+      }
+      status.push(`P${player + 1}: ${detector.getDebugInfo().state}`);
+    });
+
+    this.updateStatus(status.join(' | '));
+  }
+
   updateUI() {
     const state = this.game.getState();
     const score = this.game.getScore();
@@ -289,35 +573,142 @@ class FappyBird {
     if (state === 'playing') {
       this.scoreDisplay.classList.remove('hidden');
       this.scoreEl.textContent = score;
+      this.updateLives();
+      this.updateGhostDelta();
+      this.updateCoopScores();
+      this.updateRunCoins();
     } else {
       this.scoreDisplay.classList.add('hidden');
     }
+    this.replayBadge.classList.toggle('hidden', !this.game.isReplaying());
+    this.updatePracticeBadge();
 
-    // Menu screen
-    if (state === 'menu') {
+    // Menu screen (or the shop in its place)
+    if (state === 'menu' && !this.shopOpen) {
       this.menuScreen.classList.remove('hidden');
     } else {
       this.menuScreen.classList.add('hidden');
     }
+    this.shopScreen.classList.toggle('hidden', state !== 'menu' || !this.shopOpen);
 
     // Ready/tutorial screen
     if (state === 'ready') {
       this.readyScreen.classList.remove('hidden');
+      this.coopHintEl.style.display = this.game.isCoop() ? '' : 'none';
     } else {
       this.readyScreen.classList.add('hidden');
     }
 
-    // Game over screen
-    if (state === 'gameover') {
+    // Pause screen (with resume countdown)
+    if (state === 'paused') {
+      this.pausedScreen.classList.remove('hidden');
+      const countdown = this.game.getResumeCountdown();
+      this.resumeCountdownEl.textContent = countdown > 0 ? countdown : '';
+      const practicing = this.game.isPracticing();
+      this.endRunBtn.style.display = practicing ? '' : 'none';
+      this.rewindHint.style.display = practicing ? '' : 'none';
+    } else {
+      this.pausedScreen.classList.add('hidden');
+    }
+
+    // Game over screen, once the crash has played out
+    if (state === 'gameover' && !this.game.isDying()) {
       // Only set phrase once when first showing
       if (this.gameoverScreen.classList.contains('hidden')) {
         this.losePhraseEl.textContent = this.losePhrases[Math.floor(Math.random() * this.losePhrases.length)];
       }
       this.gameoverScreen.classList.remove('hidden');
       this.finalScoreEl.textContent = score;
+      this.coopResultEl.style.display = this.game.isCoop() ? '' : 'none';
+      if (this.game.isCoop()) {
+        const [one, two] = this.game.getPlayers();
+        this.coopResultEl.textContent = `Yellow ${one.score} \u00b7 Blue ${two.score}`;
+      }
+      // Replays and practice runs don't bank their coins
+      const coins = this.game.getRunCoins();
+      const banked = coins > 0 && !this.game.isReplaying() && !this.game.isPracticing();
+      this.coinResultEl.textContent = banked ? `+${coins} coins (${this.game.getCoins()} total)` : '';
+      this.replayBtn.style.display = this.canWatchReplay() ? '' : 'none';
     } else {
       this.gameoverScreen.classList.add('hidden');
     }
+
+    // Win screen
+    if (state === 'won') {
+      if (this.wonScreen.classList.contains('hidden')) {
+        this.winPhraseEl.textContent = this.winPhrases[Math.floor(Math.random() * this.winPhrases.length)];
+        const wins = this.game.getWins();
+        this.winCountEl.textContent = wins > 1 ? `That's ${wins} times now.` : '';
+      }
+      this.wonScreen.classList.remove('hidden');
+      this.wonScoreEl.textContent = score;
+      this.wonReplayBtn.style.display = this.canWatchReplay() ? '' : 'none';
+    } else {
+      this.wonScreen.classList.add('hidden');
+    }
+  }
+
+  // Practice and co-op runs aren't recorded, so don't offer the run before them
+  canWatchReplay() {
+    return this.game.getLastReplay() !== null && !this.game.isPracticing() && !this.game.isCoop();
+  }
+
+  updateRunCoins() {
+    const coins = this.game.getRunCoins();
+    this.runCoinsEl.classList.toggle('hidden', coins === 0);
+    this.runCoinsEl.textContent = `\u25CF ${coins}`;
+  }
+
+  // Each co-op bird's own score, struck out once it's down
+  updateCoopScores() {
+    const el = this.coopScoresEl;
+    el.classList.toggle('hidden', !this.game.isCoop());
+    if (!this.game.isCoop()) return;
+
+    el.textContent = '';
+    ['Yellow', 'Blue'].forEach((name, i) => {
+      const player = this.game.getPlayers()[i];
+      const span = document.createElement('span');
+      span.className = player.alive ? 'coop-score' : 'coop-score out';
+      span.textContent = `${name} ${player.score}`;
+      el.appendChild(span);
+    });
+  }
+
+  // How the run compares with the best one on this seed
+  updateGhostDelta() {
+    const delta = this.game.getGhostDelta();
+    const el = this.ghostDeltaEl;
+    el.classList.toggle('hidden', delta === null);
+    el.classList.toggle('ahead', delta > 0);
+    el.classList.toggle('behind', delta < 0);
+    if (delta === null) return;
+
+    if (delta > 0) {
+      el.textContent = `Ahead of best by ${delta}`;
+    } else if (delta < 0) {
+      el.textContent = `Behind best by ${-delta}`;
+    } else {
+      el.textContent = `Level with best (${this.game.getGhost().score})`;
+    }
+  }
+
+  // Practice runs show how many hits have been logged so far
+  updatePracticeBadge() {
+    const practicing = this.game.isPracticing();
+    this.practiceBadge.classList.toggle('hidden', !practicing);
+    if (!practicing) return;
+
+    const hits = this.game.getPracticeLog().length;
+    this.practiceBadge.textContent = `PRACTICE \u00b7 ${hits} ${hits === 1 ? 'HIT' : 'HITS'}`;
+  }
+
+  // Hearts under the score, only for runs with more than one life
+  updateLives() {
+    const max = this.game.getActiveMaxLives();
+    this.livesEl.classList.toggle('hidden', max <= 1);
+    const lives = this.game.getLives();
+    this.livesEl.textContent = '\u2665'.repeat(lives) + '\u2661'.repeat(max - lives);
   }
 
   updateStatus(text) {
@@ -328,7 +719,10 @@ class FappyBird {
 
   shareScore() {
     const score = this.game.getScore();
-    const messages = [
+    const messages = this.game.getState() === 'won' ? [
+      `I finished Fappy Bird with ${score} points. Beat that.`,
+      `Went all the way in Fappy Bird (${score} points)!`
+    ] : [
       `I fapped ${score} times in Fappy Bird! Can you beat my score?`,
       `Just scored ${score} in Fappy Bird! My hand is tired.`,
       `${score} faps! I'm basically a Fappy Bird pro now.`
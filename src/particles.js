@@ -0,0 +1,182 @@
+// Particle effects: feathers, dust, debris and score popups
+//
+// Particles are purely visual, so they use Math.random rather than the run's
+// seeded RNG and never affect a replay. They live in a fixed pool: a burst
+// that would go over the cap is cut short instead of allocating more.
+
+export const MAX_PARTICLES = 200;
+const FRAME_MS = 1000 / 60; // Velocities, gravity and spin are per 60fps frame
+const POPUP_FONT = 'bold 20px sans-serif'; // Set once rather than built every frame
+
+export class ParticleSystem {
+  constructor(capacity = MAX_PARTICLES) {
+    this.capacity = capacity;
+    this.pool = [];
+    for (let i = 0; i < capacity; i++) {
+      this.pool.push(createParticle());
+    }
+    this.count = 0; // pool[0..count) are alive
+    this.limit = capacity; // Live particles allowed; lowered on slow devices
+  }
+
+  // Next free particle, or null when the pool is full
+  spawn(kind, x, y) {
+    if (this.count >= this.limit) return null;
+    const particle = this.pool[this.count++];
+    particle.kind = kind;
+    particle.x = x;
+    particle.y = y;
+    particle.vx = 0;
+    particle.vy = 0;
+    particle.gravity = 0;
+    particle.drag = 1;
+    particle.rotation = 0;
+    particle.spin = 0;
+    particle.size = 1;
+    particle.growth = 0;
+    particle.life = 1;
+    particle.maxLife = 1;
+    particle.color = 'white';
+    particle.text = '';
+    return particle;
+  }
+
+  // Flap: a few feathers shed behind the bird
+  feathers(x, y, color, amount = 4) {
+    for (let i = 0; i < amount; i++) {
+      const p = this.spawn('feather', x - 6, y + random(-4, 4));
+      if (!p) return;
+      p.vx = random(-2.5, -0.5);
+      p.vy = random(-1, 1.5);
+      p.gravity = 0.05;
+      p.drag = 0.96;
+      p.rotation = random(0, Math.PI * 2);
+      p.spin = random(-0.15, 0.15);
+      p.size = random(3, 5);
+      p.life = p.maxLife = random(500, 750); // ms
+      p.color = color;
+    }
+  }
+
+  // Ground hit: puffs kicked up either side
+  dust(x, y, amount = 10) {
+    for (let i = 0; i < amount; i++) {
+      const p = this.spawn('dust', x + random(-8, 8), y);
+      if (!p) return;
+      p.vx = random(-2, 2);
+      p.vy = random(-1.5, -0.3);
+      p.drag = 0.92;
+      p.size = random(3, 6);
+      p.growth = 0.15;
+      p.life = p.maxLife = random(400, 650);
+      p.color = '#C8A27A';
+    }
+  }
+
+  // Pipe hit: chips flying out from the impact
+  debris(x, y, color, amount = 12) {
+    for (let i = 0; i < amount; i++) {
+      const p = this.spawn('debris', x, y);
+      if (!p) return;
+      const angle = random(0, Math.PI * 2);
+      const speed = random(1.5, 4);
+      p.vx = Math.cos(angle) * speed;
+      p.vy = Math.sin(angle) * speed;
+      p.gravity = 0.25;
+      p.drag = 0.98;
+      p.rotation = angle;
+      p.spin = random(-0.3, 0.3);
+      p.size = random(3, 6);
+      p.life = p.maxLife = random(600, 900);
+      p.color = color;
+    }
+  }
+
+  // Score: "+1" drifting up from the bird
+  popup(x, y, text = '+1') {
+    const p = this.spawn('text', x, y);
+    if (!p) return;
+    p.vy = -1;
+    p.drag = 0.97;
+    p.life = p.maxLife = 750;
+    p.color = 'white';
+    p.text = text;
+  }
+
+  update(ms = FRAME_MS) {
+    const dt = ms / FRAME_MS;
+    let i = 0;
+    while (i < this.count) {
+      const p = this.pool[i];
+      p.life -= ms;
+      if (p.life <= 0) {
+        // Swap the dead particle out past the live ones
+        this.pool[i] = this.pool[this.count - 1];
+        this.pool[this.count - 1] = p;
+        this.count--;
+        continue;
+      }
+
+      const drag = Math.pow(p.drag, dt);
+      p.vx *= drag;
+      p.vy = p.vy * drag + p.gravity * dt;
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.rotation += p.spin * dt;
+      p.size += p.growth * dt;
+      i++;
+    }
+  }
+
+  draw(ctx) {
+    if (this.count === 0) return;
+    ctx.save();
+    for (let i = 0; i < this.count; i++) {
+      const p = this.pool[i];
+      ctx.globalAlpha = Math.min(1, p.life / p.maxLife * 2); // Fade over the second half
+      ctx.fillStyle = p.color;
+
+      if (p.kind === 'text') {
+        ctx.font = POPUP_FONT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 3;
+        ctx.strokeText(p.text, p.x, p.y);
+        ctx.fillText(p.text, p.x, p.y);
+      } else if (p.kind === 'dust') {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        ctx.translate(p.x, p.y);
+        ctx.rotate(p.rotation);
+        if (p.kind === 'feather') {
+          ctx.beginPath();
+          ctx.ellipse(0, 0, p.size, p.size * 0.4, 0, 0, Math.PI * 2);
+          ctx.fill();
+        } else {
+          ctx.fillRect(-p.size / 2, -p.size / 2, p.size, p.size);
+        }
+        ctx.rotate(-p.rotation);
+        ctx.translate(-p.x, -p.y);
+      }
+    }
+    ctx.restore();
+  }
+
+  clear() {
+    this.count = 0;
+  }
+}
+
+function createParticle() {
+  return {
+    kind: 'dust', x: 0, y: 0, vx: 0, vy: 0, gravity: 0, drag: 1,
+    rotation: 0, spin: 0, size: 1, growth: 0, life: 0, maxLife: 1, color: 'white', text: ''
+  };
+}
+
+function random(min, max) {
+  return min + Math.random() * (max - min);
+}
@@ -1,128 +1,448 @@
 // Pipe generation and management
 
+import { SeededRandom } from './random.js';
+import { ellipseIntersectsRect } from './collision.js';
+import { POWER_UP_TYPES, PICKUP_RADIUS, MAGNET_RANGE, MAGNET_PULL, drawPowerUp } from './powerups.js';
+import { THEMES } from './themes.js';
+
 export const PIPE_GAP_START = 200;
 export const PIPE_GAP_MIN = 160;
 export const PIPE_WIDTH = 60;
 export const PIPE_SPEED = 2.5;
 export const PIPE_SPACING = 220;
+export const CAP_HEIGHT = 25;
+export const CAP_OVERHANG = 6; // Caps stick out this far on each side of PIPE_WIDTH
+export const NEAR_MISS_DISTANCE = 10; // Clearance (px) that counts as a near miss
+
+// Pipe variants unlock at these scores; each pipe past that has a
+// VARIANT_CHANCE of being one of the unlocked ones
+export const PIPE_VARIANTS = { moving: 10, closing: 20, double: 30 };
+export const VARIANT_CHANCE = 0.4;
+export const MOVE_AMPLITUDE = 60; // px a moving gap drifts either side of its centre
+export const MOVE_RATE = 0.03; // Radians per tick at full speed
+export const CLOSE_AMOUNT = 0.35; // Fraction of the gap a closing pipe shuts
+export const DOUBLE_SPACING = 80; // px between the two pipes of a double
+export const DOUBLE_OFFSET = 60; // Second gap sits at most this far above or below the first
+export const COIN_RADIUS = 8;
+export const COINS_PER_GAP = 3; // Coins in the row leading from one gap to the next
+const VARIANT_NAMES = Object.keys(PIPE_VARIANTS);
 
 export class PipeManager {
-  constructor(canvasWidth, canvasHeight, groundHeight) {
+  constructor(canvasWidth, canvasHeight, groundHeight, rng = new SeededRandom(), pickupRng = new SeededRandom()) {
     this.canvasWidth = canvasWidth;
     this.canvasHeight = canvasHeight;
     this.groundHeight = groundHeight;
+    this.rng = rng; // Shared with Game so a seed reproduces the whole layout
     this.pipes = [];
+
+    // Pipes, pickups and coins that scroll off are kept for reuse, and
+    // collision rects are filled in place, so a steady run allocates nothing
+    // per tick and the GC has no reason to pause mid-flap
+    this.pipePool = [];
+    this.pickupPool = [];
+    this.coinPool = [];
+    this.rects = [createRect(), createRect(), createRect(), createRect()];
     this.spawnTimer = 0;
     this.spawnInterval = PIPE_SPACING / PIPE_SPEED;
+    this.lastScoredPipe = null;
+    this.variantsEnabled = false; // Off keeps the original static-gap layouts
+
+    // Power-up pickups roll their own RNG so turning them on or off
+    // doesn't change a seed's pipe layout
+    this.pickupRng = pickupRng;
+    this.pickupChance = 0; // Per pipe; 0 disables pickups
+    this.pickups = [];
+
+    // Coins trace the line between consecutive gaps. They're placed from the
+    // gaps alone (no RNG) and only count towards the wallet, so they never
+    // change how a run plays out.
+    this.coinsEnabled = false;
+    this.coins = [];
+
+    // Edge, body and shade colors; the game swaps these as biomes change
+    this.colors = ['#2E8B57', '#3CB371', '#228B22'];
+    this.theme = THEMES.classic;
+    this.sprites = null; // SpriteCache from the game; drawn directly without one
+
+    // Sprite keys and redraw callbacks, made once rather than per pipe per frame
+    this.bodyKey = [null, null, null, null, 0]; // theme, edge, body, shade, height
+    this.capKey = [null, null]; // theme, edge
+    this.drawBodySprite = ctx => this.drawPipeBody(ctx, this.getSpritePad(), 0, this.canvasHeight);
+    this.drawCapSprite = ctx => this.drawPipeCap(ctx, this.getSpritePad(), this.getSpritePad());
   }
 
-  update(speed = 1, gap = PIPE_GAP_MIN) {
+  // score unlocks pipe variants
+  update(speed = 1, gap = PIPE_GAP_MIN, spacing = PIPE_SPACING, score = 0) {
     // Move all pipes left (scaled by speed)
     for (const pipe of this.pipes) {
+      pipe.prevX = pipe.x;
+      pipe.prevGapTop = pipe.gapTop;
+      pipe.prevGapBottom = pipe.gapBottom;
       pipe.x -= PIPE_SPEED * speed;
+      if (pipe.variant === 'moving' || pipe.variant === 'closing') {
+        this.updateGap(pipe, speed);
+      }
+    }
+
+    for (const pickup of this.pickups) {
+      pickup.prevX = pickup.x;
+      pickup.prevY = pickup.y;
+      pickup.x -= PIPE_SPEED * speed;
+    }
+
+    for (const coin of this.coins) {
+      coin.prevX = coin.x;
+      coin.prevY = coin.y;
+      coin.x -= PIPE_SPEED * speed;
     }
 
     // Remove off-screen pipes
-    this.pipes = this.pipes.filter(pipe => pipe.x > -PIPE_WIDTH);
+    removePassed(this.pipes, -PIPE_WIDTH, this.pipePool);
+    removePassed(this.pickups, -PICKUP_RADIUS, this.pickupPool);
+    removePassed(this.coins, -COIN_RADIUS, this.coinPool);
 
     // Spawn new pipes (scaled by speed)
+    this.spawnInterval = spacing / PIPE_SPEED;
     this.spawnTimer += speed;
     if (this.spawnTimer >= this.spawnInterval) {
-      this.spawnPipe(gap);
-      this.spawnTimer = 0;
+      const extraWidth = this.spawnPipe(gap, score);
+      // A double pipe takes up more room, so push the next spawn back by that much
+      this.spawnTimer = -extraWidth / PIPE_SPEED;
     }
   }
 
-  spawnPipe(gap = PIPE_GAP_MIN) {
+  // Returns how much wider than one pipe the spawn was (for doubles)
+  spawnPipe(gap = PIPE_GAP_MIN, score = 0) {
     const playableHeight = this.canvasHeight - this.groundHeight;
     const minY = 80;
     const maxY = playableHeight - gap - 80;
-    const gapY = Math.random() * (maxY - minY) + minY;
+    const gapY = this.rng.range(minY, maxY);
+    const variant = this.pickVariant(score);
+
+    const previous = this.pipes[this.pipes.length - 1];
+    const pipe = this.createPipe(this.canvasWidth, gapY, gap);
+    this.pipes.push(pipe);
+    if (this.coinsEnabled && previous) {
+      this.spawnCoinRow(previous, pipe);
+    }
 
-    this.pipes.push({
-      x: this.canvasWidth,
-      gapTop: gapY,
-      gapBottom: gapY + gap,
-      scored: false
-    });
+    let extraWidth = 0;
+    if (variant === 'moving') {
+      // Keep the whole swing inside the playable range
+      const amplitude = Math.min(MOVE_AMPLITUDE, (maxY - minY) / 2);
+      pipe.variant = variant;
+      pipe.baseGapTop = Math.min(Math.max(gapY, minY + amplitude), maxY - amplitude);
+      pipe.amplitude = amplitude;
+      pipe.phase = this.rng.range(0, Math.PI * 2);
+      pipe.time = 0;
+      this.updateGap(pipe, 0);
+      pipe.prevGapTop = pipe.gapTop;
+      pipe.prevGapBottom = pipe.gapBottom;
+    } else if (variant === 'closing') {
+      pipe.variant = variant;
+      pipe.baseGapTop = gapY;
+      pipe.gapSize = gap;
+      pipe.time = 0;
+    } else if (variant === 'double') {
+      const offset = this.rng.range(-DOUBLE_OFFSET, DOUBLE_OFFSET);
+      const secondY = Math.min(Math.max(gapY + offset, minY), maxY);
+      const second = this.createPipe(this.canvasWidth + PIPE_WIDTH + DOUBLE_SPACING, secondY, gap);
+      pipe.variant = second.variant = variant;
+      this.pipes.push(second);
+      extraWidth = PIPE_WIDTH + DOUBLE_SPACING;
+    }
+
+    // Pickups sit still, so keep them out of moving gaps
+    if (variant !== 'moving' && this.pickupChance > 0 && this.pickupRng.next() < this.pickupChance) {
+      this.spawnPickup(this.canvasWidth + PIPE_WIDTH / 2, gapY + gap / 2);
+    }
+
+    return extraWidth;
+  }
+
+  // Evenly spaced from the middle of one gap to the middle of the next
+  spawnCoinRow(from, to) {
+    const startX = from.x + PIPE_WIDTH;
+    const startY = (from.gapTop + from.gapBottom) / 2;
+    const endY = (to.gapTop + to.gapBottom) / 2;
+    for (let i = 1; i <= COINS_PER_GAP; i++) {
+      const t = i / (COINS_PER_GAP + 1);
+      const x = startX + (to.x - startX) * t;
+      const y = startY + (endY - startY) * t;
+      const coin = this.coinPool.pop() ?? {};
+      coin.x = coin.prevX = x;
+      coin.y = coin.prevY = y;
+      this.coins.push(coin);
+    }
+  }
+
+  // A pipe from the pool, every field reset so nothing carries over from its last trip
+  createPipe(x, gapY, gap) {
+    const pipe = this.pipePool.pop() ?? {};
+    pipe.x = x;
+    pipe.prevX = x;
+    pipe.gapTop = gapY;
+    pipe.gapBottom = gapY + gap;
+    pipe.prevGapTop = gapY;
+    pipe.prevGapBottom = gapY + gap;
+    pipe.variant = 'static';
+    pipe.scored = false;
+    pipe.scored1 = false; // Co-op partner's flag
+    pipe.hit = false; // Practice scrape
+    pipe.minClearance = Infinity; // Closest the bird came to the gap edges
+    pipe.baseGapTop = gapY;
+    pipe.amplitude = 0;
+    pipe.phase = 0;
+    pipe.time = 0;
+    pipe.gapSize = gap;
+    return pipe;
+  }
+
+  // One of the variants unlocked at this score, or 'static'.
+  // Draws nothing from the RNG until a variant unlocks, so early layouts never change.
+  pickVariant(score) {
+    if (!this.variantsEnabled) return 'static';
+    let unlocked = 0;
+    for (const variant of VARIANT_NAMES) {
+      if (score >= PIPE_VARIANTS[variant]) unlocked++;
+    }
+    if (unlocked === 0 || this.rng.next() >= VARIANT_CHANCE) return 'static';
+
+    // The pick-th unlocked variant, counting without building a list
+    let pick = Math.floor(this.rng.next() * unlocked);
+    for (const variant of VARIANT_NAMES) {
+      if (score >= PIPE_VARIANTS[variant] && pick-- === 0) return variant;
+    }
+    return 'static';
   }
 
-  draw(ctx) {
+  // Moving gaps bob up and down; closing gaps narrow towards their centre and open again
+  updateGap(pipe, speed) {
+    pipe.time += speed;
+    if (pipe.variant === 'moving') {
+      const gap = pipe.gapBottom - pipe.gapTop;
+      pipe.gapTop = pipe.baseGapTop + Math.sin(pipe.time * MOVE_RATE + pipe.phase) * pipe.amplitude;
+      pipe.gapBottom = pipe.gapTop + gap;
+    } else {
+      const closed = CLOSE_AMOUNT * (0.5 - 0.5 * Math.cos(pipe.time * MOVE_RATE));
+      const inset = pipe.gapSize * closed / 2;
+      pipe.gapTop = pipe.baseGapTop + inset;
+      pipe.gapBottom = pipe.baseGapTop + pipe.gapSize - inset;
+    }
+  }
+
+  spawnPickup(x, y) {
+    const type = POWER_UP_TYPES[Math.floor(this.pickupRng.next() * POWER_UP_TYPES.length)];
+    const pickup = this.pickupPool.pop() ?? {};
+    pickup.type = type;
+    pickup.x = pickup.prevX = x;
+    pickup.y = pickup.prevY = y;
+    this.pickups.push(pickup);
+  }
+
+  // alpha blends between the previous and current tick (1 = current)
+  draw(ctx, alpha = 1) {
     for (const pipe of this.pipes) {
-      this.drawPipe(ctx, pipe);
+      const prevX = pipe.prevX ?? pipe.x;
+      const prevGapTop = pipe.prevGapTop ?? pipe.gapTop;
+      const prevGapBottom = pipe.prevGapBottom ?? pipe.gapBottom;
+      this.drawPipe(
+        ctx,
+        pipe,
+        prevX + (pipe.x - prevX) * alpha,
+        prevGapTop + (pipe.gapTop - prevGapTop) * alpha,
+        prevGapBottom + (pipe.gapBottom - prevGapBottom) * alpha
+      );
+    }
+
+    for (const coin of this.coins) {
+      this.drawCoin(ctx, coin.prevX + (coin.x - coin.prevX) * alpha, coin.prevY + (coin.y - coin.prevY) * alpha);
+    }
+
+    for (const pickup of this.pickups) {
+      const x = pickup.prevX + (pickup.x - pickup.prevX) * alpha;
+      const y = pickup.prevY + (pickup.y - pickup.prevY) * alpha;
+      drawPowerUp(ctx, pickup.type, x, y);
     }
   }
 
-  drawPipe(ctx, pipe) {
-    const capHeight = 25;
-    const capOverhang = 6;
+  drawCoin(ctx, x, y) {
+    const [color, shine] = this.theme.coin;
 
-    // Pipe gradient
-    const gradient = ctx.createLinearGradient(pipe.x, 0, pipe.x + PIPE_WIDTH, 0);
-    gradient.addColorStop(0, '#2E8B57');
-    gradient.addColorStop(0.3, '#3CB371');
-    gradient.addColorStop(0.7, '#3CB371');
-    gradient.addColorStop(1, '#228B22');
+    if (this.theme.pixel) {
+      ctx.fillStyle = color;
+      ctx.fillRect(x - COIN_RADIUS, y - COIN_RADIUS, COIN_RADIUS * 2, COIN_RADIUS * 2);
+      ctx.fillStyle = shine;
+      ctx.fillRect(x - COIN_RADIUS + 3, y - COIN_RADIUS + 3, 3, 3);
+      return;
+    }
 
-    // Top pipe body
-    ctx.fillStyle = gradient;
-    ctx.fillRect(pipe.x, 0, PIPE_WIDTH, pipe.gapTop - capHeight);
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x, y, COIN_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
 
-    // Top pipe cap
-    ctx.fillStyle = '#2E8B57';
-    ctx.fillRect(
-      pipe.x - capOverhang,
-      pipe.gapTop - capHeight,
-      PIPE_WIDTH + capOverhang * 2,
-      capHeight
-    );
+    ctx.fillStyle = shine;
+    ctx.beginPath();
+    ctx.arc(x - 2, y - 2, COIN_RADIUS / 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
 
-    // Top cap highlight
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-    ctx.fillRect(
-      pipe.x - capOverhang,
-      pipe.gapTop - capHeight,
-      PIPE_WIDTH + capOverhang * 2,
-      5
-    );
+  drawPipe(ctx, pipe, x = pipe.x, gapTop = pipe.gapTop, gapBottom = pipe.gapBottom) {
+    const capX = x - CAP_OVERHANG;
+    const topHeight = gapTop - CAP_HEIGHT;
+    const bottomY = gapBottom + CAP_HEIGHT;
+    const bottomHeight = this.canvasHeight - bottomY;
 
-    // Bottom pipe body
-    const bottomY = pipe.gapBottom + capHeight;
-    ctx.fillStyle = gradient;
-    ctx.fillRect(pipe.x, bottomY, PIPE_WIDTH, this.canvasHeight - bottomY);
-
-    // Bottom pipe cap
-    ctx.fillStyle = '#2E8B57';
-    ctx.fillRect(
-      pipe.x - capOverhang,
-      pipe.gapBottom,
-      PIPE_WIDTH + capOverhang * 2,
-      capHeight
-    );
+    // Bodies are the same all the way down, so one full-height sprite is
+    // sliced for both halves whatever the gap
+    const pad = this.getSpritePad();
+    const body = this.getBodySprite(pad);
+    const cap = this.getCapSprite(pad);
+    if (body && cap) {
+      this.sprites.drawSlice(ctx, body, 0, x - pad, 0, topHeight);
+      this.sprites.drawSlice(ctx, body, 0, x - pad, bottomY, bottomHeight);
+      ctx.drawImage(cap.canvas, capX - pad, topHeight - pad, cap.width, cap.height);
+      ctx.drawImage(cap.canvas, capX - pad, gapBottom - pad, cap.width, cap.height);
+      return;
+    }
+
+    this.drawPipeBody(ctx, x, 0, topHeight);
+    this.drawPipeBody(ctx, x, bottomY, bottomHeight);
+    this.drawPipeCap(ctx, capX, topHeight);
+    this.drawPipeCap(ctx, capX, gapBottom);
+  }
+
+  // Room around sprites for the outline and its glow
+  getSpritePad() {
+    return this.theme.pipeOutline ? 1 + this.theme.glow : 0;
+  }
+
+  getBodySprite(pad) {
+    if (!this.sprites) return null;
+    const key = this.bodyKey;
+    key[0] = this.theme;
+    key[1] = this.colors[0];
+    key[2] = this.colors[1];
+    key[3] = this.colors[2];
+    key[4] = this.canvasHeight;
+    return this.sprites.get('pipeBody', key, PIPE_WIDTH + pad * 2, this.canvasHeight, this.drawBodySprite);
+  }
 
-    // Bottom cap highlight
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-    ctx.fillRect(
-      pipe.x - capOverhang,
-      pipe.gapBottom,
-      PIPE_WIDTH + capOverhang * 2,
-      5
+  getCapSprite(pad) {
+    if (!this.sprites) return null;
+    const key = this.capKey;
+    key[0] = this.theme;
+    key[1] = this.colors[0];
+    return this.sprites.get(
+      'pipeCap', key,
+      PIPE_WIDTH + CAP_OVERHANG * 2 + pad * 2, CAP_HEIGHT + pad * 2,
+      this.drawCapSprite
     );
+  }
+
+  drawPipeBody(ctx, x, y, height) {
+    if (height <= 0) return;
+    const theme = this.theme;
+    const [edge, body, shade] = this.colors;
+
+    // Gradient across the pipe (flat with a shaded edge in pixel art)
+    if (theme.pixel) {
+      ctx.fillStyle = body;
+      ctx.fillRect(x, y, PIPE_WIDTH, height);
+      ctx.fillStyle = shade;
+      ctx.fillRect(x + PIPE_WIDTH - 9, y, 9, height);
+    } else {
+      const gradient = ctx.createLinearGradient(x, 0, x + PIPE_WIDTH, 0);
+      gradient.addColorStop(0, edge);
+      gradient.addColorStop(0.3, body);
+      gradient.addColorStop(0.7, body);
+      gradient.addColorStop(1, shade);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(x, y, PIPE_WIDTH, height);
+    }
 
-    // Pipe body highlights
+    // Highlight
     ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-    ctx.fillRect(pipe.x + 5, 0, 8, pipe.gapTop - capHeight);
-    ctx.fillRect(pipe.x + 5, bottomY, 8, this.canvasHeight - bottomY);
+    ctx.fillRect(x + 5, y, 8, height);
+
+    if (theme.pipeOutline) {
+      this.strokeOutline(ctx, () => {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, y + height);
+        ctx.moveTo(x + PIPE_WIDTH, y);
+        ctx.lineTo(x + PIPE_WIDTH, y + height);
+        ctx.stroke();
+      });
+    }
+  }
+
+  drawPipeCap(ctx, x, y) {
+    const width = PIPE_WIDTH + CAP_OVERHANG * 2;
+    ctx.fillStyle = this.colors[0];
+    ctx.fillRect(x, y, width, CAP_HEIGHT);
+
+    // Highlight
+    ctx.fillStyle = this.theme.highlight;
+    ctx.fillRect(x, y, width, 5);
+
+    if (this.theme.pipeOutline) {
+      this.strokeOutline(ctx, () => ctx.strokeRect(x, y, width, CAP_HEIGHT));
+    }
+  }
+
+  strokeOutline(ctx, stroke) {
+    const theme = this.theme;
+    ctx.save();
+    ctx.strokeStyle = theme.pipeOutline;
+    ctx.lineWidth = 2;
+    if (theme.glow) {
+      ctx.shadowBlur = theme.glow;
+      ctx.shadowColor = theme.pipeOutline;
+    }
+    stroke();
+    ctx.restore();
+  }
+
+  // Solid parts of a pipe as drawn: body and cap for the top and bottom halves.
+  // Fills the shared this.rects and returns how many are in use.
+  fillPipeRects(pipe) {
+    const capLeft = pipe.x - CAP_OVERHANG;
+    const capRight = pipe.x + PIPE_WIDTH + CAP_OVERHANG;
+    const rects = this.rects;
+    setRect(rects[0], capLeft, capRight, pipe.gapTop - CAP_HEIGHT, pipe.gapTop);
+    setRect(rects[1], capLeft, capRight, pipe.gapBottom, pipe.gapBottom + CAP_HEIGHT);
+    setRect(rects[2], pipe.x, pipe.x + PIPE_WIDTH, pipe.gapBottom + CAP_HEIGHT, this.canvasHeight);
+    // Very high gaps leave no room for a top body above the cap
+    if (pipe.gapTop - CAP_HEIGHT > 0) {
+      setRect(rects[3], pipe.x, pipe.x + PIPE_WIDTH, 0, pipe.gapTop - CAP_HEIGHT);
+      return 4;
+    }
+    return 3;
+  }
+
+  // Copies of the rects, for callers that keep them around
+  getPipeRects(pipe) {
+    const count = this.fillPipeRects(pipe);
+    return this.rects.slice(0, count).map(rect => ({ ...rect }));
   }
 
   checkCollision(bird) {
     const bounds = bird.getBounds();
+    const shape = bird.getHitShape();
+    const reach = shape.radiusX - bird.radius; // Ellipse is wider than the bounds box
 
     for (const pipe of this.pipes) {
-      // Check if bird is horizontally within pipe
-      if (bounds.right > pipe.x && bounds.left < pipe.x + PIPE_WIDTH) {
-        // Check if bird is NOT in the gap
-        if (bounds.top < pipe.gapTop || bounds.bottom > pipe.gapBottom) {
+      // Skip pipes the bird can't horizontally reach (caps included)
+      if (bounds.right + reach < pipe.x - CAP_OVERHANG ||
+          bounds.left - reach > pipe.x + PIPE_WIDTH + CAP_OVERHANG) {
+        continue;
+      }
+
+      const count = this.fillPipeRects(pipe);
+      for (let i = 0; i < count; i++) {
+        if (ellipseIntersectsRect(shape, this.rects[i])) {
           return true;
         }
       }
@@ -131,21 +451,148 @@ export class PipeManager {
     return false;
   }
 
-  checkScore(bird) {
+  // Type of the pickup the bird flew through (removing it), or null
+  collectPickup(bird) {
+    const reach = bird.radius + PICKUP_RADIUS;
+    const pickups = this.pickups;
+    for (let i = 0; i < pickups.length; i++) {
+      const pickup = pickups[i];
+      if (Math.hypot(pickup.x - bird.x, pickup.y - bird.y) < reach) {
+        // Shift the rest down rather than splice, which allocates
+        for (let j = i; j < pickups.length - 1; j++) pickups[j] = pickups[j + 1];
+        pickups.length--;
+        this.pickupPool.push(pickup);
+        return pickup.type;
+      }
+    }
+    return null;
+  }
+
+  // Coins touching the bird's bounds are removed; returns how many
+  collectCoins(bird) {
+    const bounds = bird.getBounds();
+    const coins = this.coins;
+    let kept = 0;
+    for (let i = 0; i < coins.length; i++) {
+      const coin = coins[i];
+      if (coin.x + COIN_RADIUS < bounds.left || coin.x - COIN_RADIUS > bounds.right ||
+          coin.y + COIN_RADIUS < bounds.top || coin.y - COIN_RADIUS > bounds.bottom) {
+        coins[kept++] = coin;
+      } else {
+        this.coinPool.push(coin);
+      }
+    }
+    const collected = coins.length - kept;
+    coins.length = kept;
+    return collected;
+  }
+
+  // Magnet: draw nearby pickups and coins towards the bird
+  pullPickups(bird, speed = 1) {
+    for (const pickup of this.pickups) pullTowards(pickup, bird, speed);
+    for (const coin of this.coins) pullTowards(coin, bird, speed);
+  }
+
+  // Record how close the bird gets to each gap edge while inside the pipe
+  trackClearance(bird) {
+    const bounds = bird.getBounds();
+
+    for (const pipe of this.pipes) {
+      if (bounds.right > pipe.x && bounds.left < pipe.x + PIPE_WIDTH) {
+        const clearance = Math.min(bounds.top - pipe.gapTop, pipe.gapBottom - bounds.bottom);
+        pipe.minClearance = Math.min(pipe.minClearance ?? Infinity, clearance);
+      }
+    }
+  }
+
+  // flag is the pipe property marking it scored, so co-op birds can each score it
+  checkScore(bird, flag = 'scored') {
     let scored = false;
 
     for (const pipe of this.pipes) {
-      if (!pipe.scored && bird.x > pipe.x + PIPE_WIDTH) {
-        pipe.scored = true;
+      if (!pipe[flag] && bird.x > pipe.x + PIPE_WIDTH) {
+        pipe[flag] = true;
         scored = true;
+        this.lastScoredPipe = pipe;
       }
     }
 
     return scored;
   }
 
+  // Put back a snapshot's pipes, pickups and coins (plain copies), in pooled objects
+  restore(pipes, pickups, coins) {
+    releaseAll(this.pipes, this.pipePool);
+    releaseAll(this.pickups, this.pickupPool);
+    releaseAll(this.coins, this.coinPool);
+
+    for (const saved of pipes) {
+      const pipe = Object.assign(this.createPipe(saved.x, saved.gapTop, saved.gapBottom - saved.gapTop), saved);
+      pipe.prevX = pipe.x;
+      this.pipes.push(pipe);
+    }
+    for (const saved of pickups) {
+      const pickup = this.pickupPool.pop() ?? {};
+      pickup.type = saved.type;
+      pickup.x = pickup.prevX = saved.x;
+      pickup.y = pickup.prevY = saved.y;
+      this.pickups.push(pickup);
+    }
+    for (const saved of coins) {
+      const coin = this.coinPool.pop() ?? {};
+      coin.x = coin.prevX = saved.x;
+      coin.y = coin.prevY = saved.y;
+      this.coins.push(coin);
+    }
+    this.lastScoredPipe = null;
+  }
+
   reset() {
-    this.pipes = [];
+    releaseAll(this.pipes, this.pipePool);
+    releaseAll(this.pickups, this.pickupPool);
+    releaseAll(this.coins, this.coinPool);
     this.spawnTimer = 0;
+    this.lastScoredPipe = null;
   }
 }
+
+// Drop items at or left of minX, keeping order, and hand them to the pool
+function removePassed(items, minX, pool) {
+  let kept = 0;
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (item.x > minX) {
+      items[kept++] = item;
+    } else {
+      pool.push(item);
+    }
+  }
+  items.length = kept;
+}
+
+function releaseAll(items, pool) {
+  for (const item of items) pool.push(item);
+  items.length = 0;
+}
+
+function pullTowards(item, bird, speed) {
+  const dx = bird.x - item.x;
+  const dy = bird.y - item.y;
+  const distance = Math.hypot(dx, dy);
+  if (distance > 0 && distance < MAGNET_RANGE) {
+    const step = Math.min(MAGNET_PULL * speed, distance);
+    item.x += dx / distance * step;
+    item.y += dy / distance * step;
+  }
+}
+
+function createRect() {
+  return { left: 0, right: 0, top: 0, bottom: 0 };
+}
+
+function setRect(rect, left, right, top, bottom) {
+  rect.left = left;
+  rect.right = right;
+  rect.top = top;
+  rect.bottom = bottom;
+}
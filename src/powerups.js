@@ -0,0 +1,106 @@
+// Power-up pickups and their timed effects
+//
+// Pickups float in pipe gaps; flying through one starts its effect.
+// Effects run in simulation ticks so replays see them expire on the same tick.
+
+export const POWER_UPS = {
+  shield: { name: 'Shield', color: '#4FC3F7', duration: null }, // Lasts until it absorbs a hit
+  slowmo: { name: 'Slow-mo', color: '#B388FF', duration: 300 }, // 5s
+  shrink: { name: 'Shrink', color: '#81C784', duration: 480 }, // 8s
+  magnet: { name: 'Magnet', color: '#FF8A65', duration: 480 } // 8s
+};
+
+export const POWER_UP_TYPES = Object.keys(POWER_UPS);
+export const POWER_UP_CHANCE = 0.2; // Per pipe
+export const PICKUP_RADIUS = 12;
+export const SLOWMO_FACTOR = 0.6; // Game speed multiplier while slowed
+export const SHRINK_FACTOR = 0.6; // Bird size multiplier while shrunk
+export const MAGNET_RANGE = 180; // Pickups closer than this drift towards the bird
+export const MAGNET_PULL = 5; // px per tick at full speed
+export const SHIELD_GRACE = 45; // Invulnerable ticks after the shield pops
+
+export class ActiveEffects {
+  constructor() {
+    this.remaining = {}; // type -> ticks left (Infinity for shield)
+    this.expired = [];
+  }
+
+  activate(type) {
+    this.remaining[type] = POWER_UPS[type].duration ?? Infinity;
+  }
+
+  isActive(type) {
+    return this.remaining[type] > 0;
+  }
+
+  // Use up an effect early (the shield taking a hit); false if it wasn't active
+  consume(type) {
+    if (!this.isActive(type)) return false;
+    delete this.remaining[type];
+    return true;
+  }
+
+  // Advance one tick; returns the types that just ran out. The array is
+  // reused from tick to tick, so read it before ticking again.
+  tick() {
+    const expired = this.expired;
+    expired.length = 0;
+    for (const type in this.remaining) {
+      this.remaining[type]--;
+      if (this.remaining[type] <= 0) {
+        delete this.remaining[type];
+        expired.push(type);
+      }
+    }
+    return expired;
+  }
+
+  // Fraction of a timed effect left (1 for shield), for HUD bars
+  fraction(type) {
+    const duration = POWER_UPS[type].duration;
+    if (!this.isActive(type)) return 0;
+    return duration ? this.remaining[type] / duration : 1;
+  }
+
+  active() {
+    return Object.keys(this.remaining);
+  }
+
+  // Whether anything is running, without building the list (for per-frame checks)
+  hasAny() {
+    for (const type in this.remaining) return true;
+    return false;
+  }
+
+  clear() {
+    this.remaining = {};
+  }
+
+  snapshot() {
+    return { ...this.remaining };
+  }
+
+  restore(remaining) {
+    this.remaining = { ...remaining };
+  }
+}
+
+// Pickup orb with a letter for its type
+export function drawPowerUp(ctx, type, x, y) {
+  const { color, name } = POWER_UPS[type];
+
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(x, y, PICKUP_RADIUS, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.strokeStyle = 'white';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  ctx.fillStyle = 'white';
+  ctx.font = 'bold 12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(name[0], x, y + 1);
+}
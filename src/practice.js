@@ -0,0 +1,42 @@
+// Practice mode rewind history
+//
+// Holds a snapshot of the simulation every SNAPSHOT_INTERVAL ticks for the
+// last few seconds, so a practice run can be rolled back and the same
+// stretch of pipes drilled again.
+
+export const SNAPSHOT_INTERVAL = 30; // Ticks between snapshots (0.5s)
+export const REWIND_HISTORY = 20; // Snapshots kept (10s)
+export const REWIND_TICKS = 180; // How far one rewind goes back (3s)
+
+export class RewindBuffer {
+  constructor(interval = SNAPSHOT_INTERVAL, capacity = REWIND_HISTORY) {
+    this.interval = interval;
+    this.capacity = capacity;
+    this.snapshots = [];
+  }
+
+  shouldCapture(tick) {
+    return tick % this.interval === 0;
+  }
+
+  push(snapshot) {
+    this.snapshots.push(snapshot);
+    if (this.snapshots.length > this.capacity) {
+      this.snapshots.shift();
+    }
+  }
+
+  // Latest snapshot at least `ticks` before `tick`. Newer ones are dropped;
+  // the one returned is kept so rewinding again lands on it.
+  rewind(tick, ticks = REWIND_TICKS) {
+    const target = tick - ticks;
+    while (this.snapshots.length > 1 && this.snapshots[this.snapshots.length - 1].tick > target) {
+      this.snapshots.pop();
+    }
+    return this.snapshots[this.snapshots.length - 1] ?? null;
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
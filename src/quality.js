@@ -0,0 +1,93 @@
+// Dynamic quality scaling
+//
+// Instead of guessing from the user agent, the game loop reports how long
+// frames and hand detections actually take. When either falls behind, the
+// manager steps down a tier; after a few comfortable seconds it steps back up.
+
+export const QUALITY_TIERS = [
+  { id: 'low', clouds: 2, grassPattern: false, particles: 60, skeleton: 'simple', detectionInterval: 66 },
+  { id: 'medium', clouds: 3, grassPattern: true, particles: 120, skeleton: 'simple', detectionInterval: 50 },
+  { id: 'high', clouds: 5, grassPattern: true, particles: 200, skeleton: 'full', detectionInterval: 33 }
+];
+
+export const SAMPLE_FRAMES = 60; // Frames averaged per decision (~1s)
+export const SLOW_FRAME_MS = 20; // Slower than ~50fps steps down
+export const FAST_FRAME_MS = 17.5; // Holding ~60fps counts towards stepping up
+export const UPGRADE_SAMPLES = 3; // Good samples in a row before stepping up
+
+export function resolveQuality(id) {
+  return QUALITY_TIERS.find(tier => tier.id === id) ?? null;
+}
+
+export class QualityManager {
+  constructor(initial = 'high') {
+    this.index = Math.max(0, QUALITY_TIERS.indexOf(resolveQuality(initial)));
+    this.pinned = false; // Fixed tier, e.g. from ?quality=
+    this.frameTotal = 0;
+    this.frames = 0;
+    this.detectionTime = 0; // Moving average, ms
+    this.goodSamples = 0;
+    this.listeners = [];
+  }
+
+  get tier() {
+    return QUALITY_TIERS[this.index];
+  }
+
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  // Stay on one tier whatever the timings say
+  pin(id) {
+    const tier = resolveQuality(id);
+    if (!tier) return false;
+    this.pinned = true;
+    this.setIndex(QUALITY_TIERS.indexOf(tier));
+    return true;
+  }
+
+  recordFrame(ms) {
+    if (this.pinned) return;
+    this.frameTotal += ms;
+    this.frames++;
+    if (this.frames >= SAMPLE_FRAMES) {
+      this.evaluate(this.frameTotal / this.frames);
+      this.frameTotal = 0;
+      this.frames = 0;
+    }
+  }
+
+  recordDetection(ms) {
+    this.detectionTime = this.detectionTime > 0 ? this.detectionTime * 0.8 + ms * 0.2 : ms;
+  }
+
+  evaluate(frameTime) {
+    const interval = this.tier.detectionInterval;
+    if (frameTime > SLOW_FRAME_MS || this.detectionTime > interval) {
+      this.goodSamples = 0;
+      this.setIndex(this.index - 1);
+    } else if (frameTime < FAST_FRAME_MS && this.keepsUpWith(this.index + 1)) {
+      this.goodSamples++;
+      if (this.goodSamples >= UPGRADE_SAMPLES) {
+        this.goodSamples = 0;
+        this.setIndex(this.index + 1);
+      }
+    } else {
+      this.goodSamples = 0;
+    }
+  }
+
+  // Detection would fit the tier's interval with some room to spare
+  keepsUpWith(index) {
+    const tier = QUALITY_TIERS[Math.min(index, QUALITY_TIERS.length - 1)];
+    return this.detectionTime < tier.detectionInterval * 0.8;
+  }
+
+  setIndex(index) {
+    index = Math.min(Math.max(index, 0), QUALITY_TIERS.length - 1);
+    if (index === this.index) return;
+    this.index = index;
+    for (const callback of this.listeners) callback(this.tier);
+  }
+}
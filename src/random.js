@@ -0,0 +1,51 @@
+// Seedable pseudo-random number generator (mulberry32)
+
+export class SeededRandom {
+  constructor(seed = randomSeed()) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Returns a float in [0, 1), same contract as Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Rewind to the start of the sequence (optionally with a new seed)
+  reset(seed = this.seed) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Accept numbers or arbitrary strings (e.g. ?seed=banana) as seeds
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  const str = String(seed);
+  if (/^\d+$/.test(str)) {
+    return Number(str) >>> 0;
+  }
+
+  // FNV-1a string hash
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
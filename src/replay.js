@@ -0,0 +1,66 @@
+// Input replay recording and playback
+//
+// A replay is plain JSON so it can be pasted into a bug report:
+// { version, seed, difficulty, mode, jumps: [tick, ...], score, ticks }
+// Jumps are stamped with the fixed-step simulation tick they were applied
+// before, so playback reproduces the run at any frame rate.
+
+export const REPLAY_VERSION = 4;
+
+export class ReplayRecorder {
+  constructor(seed, difficulty, mode = {}) {
+    this.seed = seed;
+    this.difficulty = { ...difficulty };
+    this.mode = { ...mode }; // Rules the run was played under (win condition, ...)
+    this.jumps = [];
+  }
+
+  recordJump(tick) {
+    this.jumps.push(tick);
+  }
+
+  finish(score, ticks) {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      difficulty: { ...this.difficulty },
+      mode: { ...this.mode },
+      jumps: this.jumps.slice(),
+      score,
+      ticks
+    };
+  }
+}
+
+export class ReplayPlayer {
+  constructor(replay) {
+    if (!isValidReplay(replay)) {
+      throw new Error('Invalid replay');
+    }
+    this.replay = replay;
+    this.jumpIndex = 0;
+  }
+
+  // Number of jumps to apply before simulating this tick
+  takeJumps(tick) {
+    let count = 0;
+    const jumps = this.replay.jumps;
+    while (this.jumpIndex < jumps.length && jumps[this.jumpIndex] <= tick) {
+      this.jumpIndex++;
+      count++;
+    }
+    return count;
+  }
+
+  isFinished(tick) {
+    return tick >= this.replay.ticks;
+  }
+}
+
+export function isValidReplay(replay) {
+  return !!replay &&
+    replay.version === REPLAY_VERSION &&
+    Array.isArray(replay.jumps) &&
+    Number.isInteger(replay.ticks) &&
+    replay.seed !== undefined;
+}
@@ -0,0 +1,91 @@
+// Coin wallet and cosmetic shop
+//
+// Coins banked from runs are spent on bird skins and backgrounds. Everything
+// lives in storage next to the high scores: the balance, what's been bought
+// and what's currently picked.
+
+export const SKINS = {
+  classic: { id: 'classic', name: 'Classic', price: 0, bodyColor: '#FFD93D', wingColor: '#FFC107' },
+  bluejay: { id: 'bluejay', name: 'Blue Jay', price: 25, bodyColor: '#5DADE2', wingColor: '#2E86C1' },
+  cardinal: { id: 'cardinal', name: 'Cardinal', price: 50, bodyColor: '#E74C3C', wingColor: '#B03A2E' },
+  parrot: { id: 'parrot', name: 'Parrot', price: 100, bodyColor: '#58D68D', wingColor: '#F4D03F' },
+  phantom: { id: 'phantom', name: 'Phantom', price: 250, bodyColor: '#D7DBDD', wingColor: '#85929E' }
+};
+
+export const BACKGROUNDS = {
+  day: { id: 'day', name: 'Day', price: 0, sky: ['#87CEEB', '#E0F6FF', '#87CEEB'], clouds: '#FFFFFF' },
+  sunset: { id: 'sunset', name: 'Sunset', price: 40, sky: ['#FF7E5F', '#FEB47B', '#FF7E5F'], clouds: '#FFE6D2' },
+  dusk: { id: 'dusk', name: 'Dusk', price: 80, sky: ['#2C3E50', '#8E44AD', '#2C3E50'], clouds: '#C8BEE6' },
+  mint: { id: 'mint', name: 'Mint', price: 150, sky: ['#A8E6CF', '#DCEDC1', '#A8E6CF'], clouds: '#FFFFFF' }
+};
+
+const CATALOGS = { skin: SKINS, background: BACKGROUNDS };
+const DEFAULTS = { skin: 'classic', background: 'day' };
+
+export class Shop {
+  constructor(storage) {
+    this.storage = storage;
+    this.coins = parseInt(storage.getItem('fappyCoins') || '0', 10);
+    this.owned = new Set(this.loadOwned()); // 'skin:bluejay', 'background:sunset', ...
+  }
+
+  loadOwned() {
+    try {
+      const owned = JSON.parse(this.storage.getItem('fappyUnlocks') || '[]');
+      return Array.isArray(owned) ? owned : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  getCoins() {
+    return this.coins;
+  }
+
+  addCoins(amount) {
+    if (amount <= 0) return;
+    this.coins += amount;
+    this.storage.setItem('fappyCoins', this.coins.toString());
+  }
+
+  getItem(kind, id) {
+    return CATALOGS[kind]?.[id] ?? null;
+  }
+
+  getItems(kind) {
+    return Object.values(CATALOGS[kind] ?? {});
+  }
+
+  isOwned(kind, id) {
+    const item = this.getItem(kind, id);
+    return !!item && (item.price === 0 || this.owned.has(`${kind}:${id}`));
+  }
+
+  // Spend coins on an item; false if it's unknown, already owned or too dear
+  buy(kind, id) {
+    const item = this.getItem(kind, id);
+    if (!item || this.isOwned(kind, id) || this.coins < item.price) return false;
+
+    this.coins -= item.price;
+    this.owned.add(`${kind}:${id}`);
+    this.storage.setItem('fappyCoins', this.coins.toString());
+    this.storage.setItem('fappyUnlocks', JSON.stringify([...this.owned]));
+    return true;
+  }
+
+  select(kind, id) {
+    if (!this.isOwned(kind, id)) return false;
+    this.storage.setItem(selectedKey(kind), id);
+    return true;
+  }
+
+  // Currently picked item, falling back to the free one
+  getSelected(kind) {
+    const id = this.storage.getItem(selectedKey(kind));
+    return this.isOwned(kind, id) ? this.getItem(kind, id) : this.getItem(kind, DEFAULTS[kind]);
+  }
+}
+
+function selectedKey(kind) {
+  return kind === 'skin' ? 'fappySkin' : 'fappyBackground';
+}
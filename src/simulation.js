@@ -0,0 +1,1199 @@
+// Headless game simulation: state, physics and rules with no DOM or canvas,
+// so it runs in plain Node for tests and bots. Game adds rendering on top.
+//
+// Events (subscribe with on(name, callback)):
+//   stateChange      { from, to }
+//   jump             { tick, pumps, player }
+//   score            { score, player, playerScore } - player/playerScore only in co-op
+//   nearMiss         { score, clearance } - scored with less than NEAR_MISS_DISTANCE to spare
+//   hit              { score, cause, lives, practice } - cause is 'pipe' | 'ground' | 'ceiling';
+//                                         lives left after it; practice hits aren't fatal;
+//                                         co-op hits add { player, playersLeft }
+//   respawn          { lives }            - a life was lost and the bird is back in a gap
+//   difficultyChange { profile, speed, gap, spacing, gravity }
+//   countdown        { seconds }          - resume countdown ticked down
+//   rewind           { tick, score }      - practice run rolled back to this tick
+//   powerUp          { type, tick }       - picked up a power-up
+//   powerUpEnd       { type, absorbed }   - effect ran out; absorbed is the hit a shield took
+//   coin             { coins }            - coins collected so far this run
+
+import { Bird, BIRD_RADIUS } from './bird.js';
+import { PipeManager, PIPE_WIDTH, NEAR_MISS_DISTANCE } from './pipes.js';
+import { EventEmitter } from './events.js';
+import { SeededRandom, randomSeed, normalizeSeed } from './random.js';
+import { ReplayRecorder, ReplayPlayer, isValidReplay } from './replay.js';
+import { RewindBuffer, REWIND_TICKS } from './practice.js';
+import { Ghost, GhostRecorder, isValidGhost } from './ghost.js';
+import { Shop } from './shop.js';
+import { biomeTarget, BIOME_BLEND_TICKS } from './biomes.js';
+import { ActiveEffects, POWER_UP_CHANCE, SLOWMO_FACTOR, SHRINK_FACTOR, SHIELD_GRACE } from './powerups.js';
+import {
+  DIFFICULTY_PROFILES, DEFAULT_PROFILE, CUSTOM_PROFILE, resolveProfile, getDifficultyAt
+} from './difficulty.js';
+
+export const GROUND_HEIGHT = 80;
+const BIRD_X = 80;
+const PARTNER_X = 140; // Player two flies just ahead of player one
+export const PARTNER_SKIN = { bodyColor: '#7EC8E3', wingColor: '#4A9FC4' }; // Blue, to tell them apart
+
+// Physics always advances in 60Hz ticks regardless of display refresh rate
+export const FIXED_STEP = 1000 / 60;
+const MAX_STEPS_PER_UPDATE = 5; // Drop backlog after long hitches instead of spiralling
+
+// Clouds get their own sequence from the run's seed, so however many a
+// device draws, the pipes see the same numbers
+const cloudSeed = seed => (seed ^ 0x9E3779B9) >>> 0;
+
+// Pickups get their own sequence from the run's seed
+const pickupSeed = seed => (seed ^ 0x5BD1E995) >>> 0;
+
+export const MAX_GHOSTS = 20; // Ghosts kept across seeds; the least recently saved go first
+const GHOST_KEYS = 'fappyGhosts'; // Ghost storage keys, oldest save first
+
+// Minimal localStorage stand-in for Node and private browsing
+export class MemoryStorage {
+  constructor() {
+    this.data = {};
+  }
+
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+  }
+
+  setItem(key, value) {
+    this.data[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this.data[key];
+  }
+}
+
+function defaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined' && localStorage) return localStorage;
+  } catch (e) {
+    // Access can throw when storage is disabled
+  }
+  return new MemoryStorage();
+}
+
+export class Simulation extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.width = options.width ?? 600;
+    this.height = options.height ?? 900;
+
+    // Injectable persistence and time source
+    this.storage = options.storage ?? defaultStorage();
+    this.clock = options.clock ?? (() => performance.now());
+    this.cloudCount = options.cloudCount ?? 5;
+
+    // Seeded RNG: a fixed seed (option or ?seed=) replays the same layout every run,
+    // otherwise each run rolls a fresh seed
+    this.fixedSeed = options.seed !== undefined && options.seed !== null ? normalizeSeed(options.seed) : null;
+    this.seed = this.fixedSeed ?? randomSeed();
+    this.rng = new SeededRandom(this.seed);
+    this.cloudRng = new SeededRandom(cloudSeed(this.seed));
+    this.pickupRng = new SeededRandom(pickupSeed(this.seed));
+
+    // Game objects
+    this.bird = new Bird(BIRD_X, this.height / 2);
+    this.partnerBird = new Bird(PARTNER_X, this.height / 2);
+    this.partnerBird.bodyColor = PARTNER_SKIN.bodyColor;
+    this.partnerBird.wingColor = PARTNER_SKIN.wingColor;
+    this.pipes = new PipeManager(this.width, this.height, GROUND_HEIGHT, this.rng, this.pickupRng);
+
+    // Difficulty: the player's pick, and the profile in effect (differs while watching a replay)
+    this.selectedProfile = this.lookupProfile(options.difficulty ?? this.storage.getItem('fappyDifficulty'));
+    this.profile = this.selectedProfile;
+
+    // Game state
+    this.state = 'menu'; // 'menu' | 'ready' | 'playing' | 'paused' | 'gameover' | 'won'
+    this.score = 0;
+    this.updateDifficulty(); // Sets speed, gap, spacing and bird gravity
+    // Bird physics per tick (1 = one 60fps frame). Kept apart from speed,
+    // which only scrolls the world, so each can be tuned on its own.
+    this.timeScale = options.timeScale ?? 1;
+    this.highScore = this.loadHighScore();
+    this.frozen = true; // Bird doesn't move until first pump
+    this.gameOverTime = 0; // When game over (or win) started
+    this.restartCooldown = 3000; // 3 seconds before pump can restart
+
+    // Pause: remember what to go back to, and count down before physics restarts
+    this.pausedFrom = null;
+    this.resumeDelay = 3000;
+    this.resumeCountdown = 0;
+
+    // Win condition: reach either target (null disables it)
+    this.winCondition = { score: 69, pumps: null, ...options.winCondition };
+    this.pumps = 0; // Jumps this run
+    this.wins = this.loadWins();
+
+    // Lives: each hit costs one and respawns the bird; the run ends with the last (1 = classic)
+    this.setLives(options.lives ?? 1); // Sets maxLives
+    this.lives = this.maxLives;
+    this.invulnerableTicks = 0;
+    this.respawnInvulnerability = 90; // Ticks of grace after a respawn (1.5s)
+
+    // Practice: hits are logged instead of fatal and the run can be rewound.
+    // Like difficulty, the player's pick only applies from the next run.
+    this.practiceEnabled = options.practice ?? false;
+    this.practicing = false;
+    this.practiceLog = []; // { tick, score, cause } per hit
+    this.practiceContact = null; // What the bird is touching, so contact logs once
+    this.rewindBuffer = new RewindBuffer();
+
+    // Ghost: the best run on this seed and difficulty, raced against during play
+    this.ghost = null;
+    this.ghostRecorder = null;
+
+    // Co-op: two birds in the same pipes, each with its own score and one life.
+    // The player count applies from the next run, like practice.
+    this.playerCount = options.players === 2 ? 2 : 1;
+    this.coop = false;
+    this.players = []; // { bird, score, alive, scoreFlag } per bird during co-op runs
+
+    // Moving, closing and double pipes at higher scores
+    this.pipeVariantsEnabled = options.pipeVariants ?? true;
+
+    // Coins: collected along the way, banked into the shop's wallet when a real run ends
+    this.shop = new Shop(this.storage);
+    this.runCoins = 0;
+    this.pipes.coinsEnabled = options.coins ?? true;
+
+    // Power-ups: pickups in pipe gaps with timed effects (single-player only)
+    this.powerUpsEnabled = options.powerUps ?? true;
+    this.effects = new ActiveEffects();
+
+    // Replays: every simulated tick is counted so jumps can be stamped with it
+    this.tick = 0;
+    this.recorder = null;
+    this.replayPlayer = null;
+    this.lastReplay = null;
+
+    // Fixed timestep: leftover real time not yet simulated
+    this.accumulator = 0;
+
+    // Background elements
+    this.groundOffset = 0;
+    this.cloudOffset = 0;
+    this.prevGroundOffset = 0;
+    this.prevCloudOffset = 0;
+    this.clouds = this.generateClouds();
+    this.biomeProgress = 0; // Day/night position, eased towards what the score calls for
+  }
+
+  generateClouds() {
+    const clouds = [];
+    for (let i = 0; i < this.cloudCount; i++) {
+      clouds.push({
+        x: this.cloudRng.next() * this.width,
+        y: 30 + this.cloudRng.next() * 100,
+        size: 20 + this.cloudRng.next() * 40
+      });
+    }
+    return clouds;
+  }
+
+  loadBestReplay() {
+    try {
+      return JSON.parse(this.storage.getItem('fappyBestReplay') || 'null');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  saveReplay(replay) {
+    this.lastReplay = replay;
+    const best = this.loadBestReplay();
+    if (!isValidReplay(best) || replay.score > best.score) {
+      this.storage.setItem('fappyBestReplay', JSON.stringify(replay));
+    }
+  }
+
+  loadWins() {
+    return parseInt(this.storage.getItem('fappyWins') || '0', 10);
+  }
+
+  saveWin() {
+    this.wins++;
+    this.storage.setItem('fappyWins', this.wins.toString());
+  }
+
+  // High scores are kept per difficulty profile (Normal keeps the original key)
+  highScoreKey(profileId = this.selectedProfile.id) {
+    return profileId === DEFAULT_PROFILE ? 'fappyHighScore' : `fappyHighScore:${profileId}`;
+  }
+
+  loadHighScore(profileId) {
+    return parseInt(this.storage.getItem(this.highScoreKey(profileId)) || '0', 10);
+  }
+
+  saveHighScore() {
+    if (this.score > this.highScore) {
+      this.highScore = this.score;
+      this.storage.setItem(this.highScoreKey(this.profile.id), this.highScore.toString());
+    }
+  }
+
+  loadCustomProfile() {
+    try {
+      return JSON.parse(this.storage.getItem('fappyCustomDifficulty') || 'null');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  hasCustomProfile() {
+    return this.loadCustomProfile() !== null;
+  }
+
+  // Profile id ('easy', 'normal', ..., 'custom') or profile object -> resolved profile
+  lookupProfile(profile) {
+    if (profile === CUSTOM_PROFILE) {
+      profile = this.loadCustomProfile();
+    }
+    return resolveProfile(profile ?? DEFAULT_PROFILE);
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    const from = this.state;
+    this.state = state;
+    this.emit('stateChange', { from, to: state });
+  }
+
+  setDifficulty(profile) {
+    this.selectedProfile = this.lookupProfile(profile);
+    this.storage.setItem('fappyDifficulty', this.selectedProfile.id);
+    this.highScore = this.loadHighScore();
+
+    if (this.state === 'menu' || this.state === 'gameover' || this.state === 'won') {
+      this.profile = this.selectedProfile;
+      this.updateDifficulty();
+    }
+  }
+
+  // Save a custom profile ({ speed, gap, spacing, gravity } curves) and select it
+  setCustomProfile(profile) {
+    const custom = resolveProfile({ ...profile, id: CUSTOM_PROFILE, name: profile.name ?? 'Custom' });
+    this.storage.setItem('fappyCustomDifficulty', JSON.stringify(custom));
+    this.setDifficulty(custom);
+  }
+
+  getProfiles() {
+    const profiles = Object.values(DIFFICULTY_PROFILES);
+    const custom = this.loadCustomProfile();
+    return custom ? [...profiles, resolveProfile(custom)] : profiles;
+  }
+
+  getDifficulty() {
+    return this.selectedProfile;
+  }
+
+  start() {
+    if (this.state === 'menu' || this.state === 'gameover' || this.state === 'won') {
+      this.replayPlayer = null;
+      this.profile = this.selectedProfile;
+      this.pipes.canvasWidth = this.width; // Pick up any resize since the last run
+      this.coop = this.playerCount > 1;
+      this.practicing = this.practiceEnabled && !this.coop; // Rewind only snapshots one bird
+      this.pipes.pickupChance = this.powerUpsEnabled && !this.coop ? POWER_UP_CHANCE : 0;
+      this.pipes.variantsEnabled = this.pipeVariantsEnabled;
+      this.reset();
+      // Rewinding breaks determinism and replays only drive one bird, so
+      // practice and co-op runs aren't recorded (or scored)
+      this.recorder = this.practicing || this.coop ? null : new ReplayRecorder(this.seed, this.getDifficultySettings(), {
+        winCondition: { ...this.winCondition },
+        timeScale: this.timeScale,
+        width: this.width,
+        lives: this.maxLives,
+        powerUps: this.pipes.pickupChance > 0,
+        pipeVariants: this.pipes.variantsEnabled
+      });
+      if (this.practicing) {
+        this.rewindBuffer.push(this.captureSnapshot());
+      }
+      this.ghost = this.coop ? null : this.loadGhost();
+      this.ghostRecorder = this.recorder && this.canRecordGhost()
+        ? new GhostRecorder(this.seed, this.profile.id, this.pipes.canvasWidth)
+        : null;
+      this.ghostRecorder?.record(this.bird);
+      this.frozen = true;
+      this.setState('ready'); // Wait for first pump
+    }
+  }
+
+  // Watch a recorded run; player input is ignored until it ends
+  playReplay(replay) {
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.recorder = null;
+    this.ghost = null;
+    this.ghostRecorder = null;
+    this.practicing = false;
+    this.coop = false;
+    this.profile = resolveProfile(replay.difficulty);
+    // Pipes spawn where they did in the recording, even if this screen is wider or narrower
+    this.pipes.canvasWidth = replay.mode?.width ?? this.width;
+    this.pipes.pickupChance = replay.mode?.powerUps ? POWER_UP_CHANCE : 0;
+    this.pipes.variantsEnabled = !!replay.mode?.pipeVariants;
+    this.reset(replay.seed);
+    this.frozen = true;
+    this.setState('ready');
+  }
+
+  reset(seed = this.fixedSeed ?? randomSeed()) {
+    // New seed per run unless one was pinned
+    this.seed = seed;
+    this.rng.reset(this.seed);
+    this.cloudRng.reset(cloudSeed(this.seed));
+    this.pickupRng.reset(pickupSeed(this.seed));
+    this.clouds = this.generateClouds();
+    this.biomeProgress = 0;
+
+    this.bird.reset(BIRD_X, this.height / 2);
+    this.partnerBird.reset(PARTNER_X, this.height / 2);
+    this.players = this.coop ? [this.bird, this.partnerBird].map((bird, i) => ({
+      bird,
+      score: 0,
+      alive: true,
+      scoreFlag: i === 0 ? 'scored' : `scored${i}`
+    })) : [];
+    this.pipes.reset();
+    this.effects.clear();
+    this.applyShrink();
+    this.runCoins = 0;
+    this.score = 0;
+    this.pumps = 0;
+    this.lives = this.getActiveMaxLives();
+    this.invulnerableTicks = 0;
+    this.practiceLog = [];
+    this.practiceContact = null;
+    this.rewindBuffer.clear();
+    this.tick = 0;
+    this.accumulator = 0;
+    this.frozen = true;
+    this.updateDifficulty();
+  }
+
+  // Applies from the next run
+  setLives(lives) {
+    this.maxLives = Math.max(1, Math.floor(lives));
+  }
+
+  // Random seeds never come round again, so only pinned seeds get a ghost
+  canRecordGhost() {
+    return this.fixedSeed !== null;
+  }
+
+  ghostKey(profileId = this.profile.id, seed = this.seed) {
+    return `fappyGhost:${profileId}:${seed}`;
+  }
+
+  loadGhostData() {
+    try {
+      const data = JSON.parse(this.storage.getItem(this.ghostKey()) || 'null');
+      return isValidGhost(data) ? data : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Ghost for the run about to start; one recorded at another width saw different pipes
+  loadGhost() {
+    const data = this.loadGhostData();
+    return data && data.width === this.pipes.canvasWidth ? new Ghost(data) : null;
+  }
+
+  loadGhostKeys() {
+    try {
+      const keys = JSON.parse(this.storage.getItem(GHOST_KEYS) || '[]');
+      return Array.isArray(keys) ? keys.filter(key => typeof key === 'string') : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  saveGhost(ghost) {
+    const best = this.loadGhostData();
+    if (best && best.width === ghost.width && ghost.score <= best.score) return;
+
+    const key = this.ghostKey(ghost.difficulty, ghost.seed);
+    const keys = this.loadGhostKeys().filter(other => other !== key);
+    while (keys.length >= MAX_GHOSTS) this.storage.removeItem(keys.shift());
+
+    // A full store drops the oldest ghosts until this one fits; if it never
+    // does, the run just goes unsaved rather than throwing out of the game loop
+    const data = JSON.stringify(ghost);
+    for (;;) {
+      try {
+        this.storage.setItem(key, data);
+        keys.push(key);
+        break;
+      } catch (e) {
+        if (keys.length === 0) {
+          if (best) keys.push(key); // The previous best is still there
+          break;
+        }
+        this.storage.removeItem(keys.shift());
+      }
+    }
+
+    try {
+      this.storage.setItem(GHOST_KEYS, JSON.stringify(keys));
+    } catch (e) {
+      // Ghosts saved without the list are just never evicted
+    }
+  }
+
+  // Current score against the ghost's at the same tick: > 0 ahead, < 0 behind, null with no ghost
+  getGhostDelta() {
+    return this.ghost ? this.score - this.ghost.scoreAt(this.tick) : null;
+  }
+
+  getGhost() {
+    return this.ghost;
+  }
+
+  // Applies from the next run
+  setPractice(enabled) {
+    this.practiceEnabled = !!enabled;
+  }
+
+  isPracticeEnabled() {
+    return this.practiceEnabled;
+  }
+
+  isPracticing() {
+    return this.practicing;
+  }
+
+  getPracticeLog() {
+    return this.practiceLog;
+  }
+
+  // Co-op birds get one life each
+  setPlayers(count) {
+    this.playerCount = count === 2 ? 2 : 1;
+  }
+
+  getPlayerCount() {
+    return this.playerCount;
+  }
+
+  isCoop() {
+    return this.coop;
+  }
+
+  getPlayers() {
+    return this.players;
+  }
+
+  // Replays play with the lives they were recorded with (older ones had just one)
+  getActiveMaxLives() {
+    if (this.coop) return 1;
+    return this.replayPlayer ? (this.replayPlayer.replay.mode?.lives ?? 1) : this.maxLives;
+  }
+
+  // Full copy of the active profile, so replays survive profile edits
+  getDifficultySettings() {
+    return JSON.parse(JSON.stringify(this.profile));
+  }
+
+  updateDifficulty() {
+    // Read speed, gap, spacing and gravity off the profile's curves at the current score
+    const difficulty = getDifficultyAt(this.profile, this.score);
+    const changed = difficulty.speed !== this.speed || difficulty.gap !== this.gap ||
+      difficulty.spacing !== this.spacing || difficulty.gravity !== this.bird.gravity;
+
+    this.speed = difficulty.speed;
+    this.gap = difficulty.gap;
+    this.spacing = difficulty.spacing;
+    this.bird.gravity = difficulty.gravity;
+    this.partnerBird.gravity = difficulty.gravity;
+
+    if (changed) {
+      this.emit('difficultyChange', { profile: this.profile.id, ...difficulty });
+    }
+  }
+
+  pause() {
+    if (this.state !== 'playing' && this.state !== 'ready') return false;
+    this.pausedFrom = this.state;
+    this.resumeCountdown = 0;
+    this.setState('paused');
+    return true;
+  }
+
+  // Starts the countdown; play continues once it reaches zero
+  resume() {
+    if (this.state !== 'paused' || this.resumeCountdown > 0) return false;
+    // Nothing is moving on the ready screen, so no need to count down
+    if (this.pausedFrom === 'ready') {
+      this.pausedFrom = null;
+      this.setState('ready');
+      return true;
+    }
+    this.resumeCountdown = this.resumeDelay;
+    this.emit('countdown', { seconds: this.getResumeCountdown() });
+    return true;
+  }
+
+  togglePause() {
+    return this.state === 'paused' ? this.resume() : this.pause();
+  }
+
+  isResuming() {
+    return this.state === 'paused' && this.resumeCountdown > 0;
+  }
+
+  // Whole seconds left on the resume countdown (0 if not counting down)
+  getResumeCountdown() {
+    return Math.ceil(this.resumeCountdown / 1000);
+  }
+
+  // player picks the bird in co-op (0 or 1); solo runs fly the one bird either way
+  jump(player = 0) {
+    // A pump while paused resumes instead of flapping
+    if (this.state === 'paused') {
+      this.resume();
+      return false;
+    }
+
+    // Replays drive the bird themselves
+    if (this.replayPlayer && (this.state === 'ready' || this.state === 'playing')) {
+      return false;
+    }
+    return this.applyJump(player);
+  }
+
+  applyJump(player = 0) {
+    if (this.state === 'playing') {
+      const bird = this.getPlayerBird(player);
+      if (!bird) return false; // Out of this co-op run
+      this.recorder?.recordJump(this.tick);
+      bird.jump();
+      this.pumps++;
+      this.emit('jump', { tick: this.tick, pumps: this.pumps, player });
+      if (this.hasWon()) this.win();
+      return true;
+    } else if (this.state === 'ready') {
+      // First pump starts the game
+      this.recorder?.recordJump(this.tick);
+      this.frozen = false;
+      (this.getPlayerBird(player) ?? this.bird).jump();
+      this.pumps++;
+      this.setState('playing');
+      this.emit('jump', { tick: this.tick, pumps: this.pumps, player });
+      if (this.hasWon()) this.win();
+      return true;
+    } else if (this.state === 'menu') {
+      this.start();
+      return true;
+    } else if (this.state === 'gameover') {
+      if (this.canRestartFromGameOver()) {
+        this.start();
+        return true;
+      }
+      return false;
+    } else if (this.state === 'won') {
+      if (this.canRestartFromWin()) {
+        this.start();
+        return true;
+      }
+      return false;
+    }
+    return false;
+  }
+
+  // Bird a player controls, or null if they're out of the co-op run
+  getPlayerBird(player = 0) {
+    if (!this.coop) return this.bird;
+    const entry = this.players[player];
+    return entry?.alive ? entry.bird : null;
+  }
+
+  // Replays are judged by the rules they were recorded with
+  getActiveWinCondition() {
+    return this.replayPlayer?.replay.mode?.winCondition ?? this.winCondition;
+  }
+
+  getActiveTimeScale() {
+    return this.replayPlayer?.replay.mode?.timeScale ?? this.timeScale;
+  }
+
+  hasWon() {
+    const { score, pumps } = this.getActiveWinCondition();
+    return (score !== null && score !== undefined && this.score >= score) ||
+      (pumps !== null && pumps !== undefined && this.pumps >= pumps);
+  }
+
+  update(deltaTime = FIXED_STEP) {
+    if (this.state === 'paused') {
+      this.updateResumeCountdown(deltaTime);
+      return;
+    }
+    if (this.state !== 'playing' && this.state !== 'ready') return;
+
+    // Bank real time and simulate it in whole ticks; the remainder is
+    // used by render() to interpolate between the last two ticks
+    this.accumulator += deltaTime;
+    let steps = 0;
+
+    while (this.accumulator >= FIXED_STEP) {
+      this.accumulator -= FIXED_STEP;
+      this.step();
+      steps++;
+
+      if (this.frozen || this.state !== 'playing' || steps >= MAX_STEPS_PER_UPDATE) {
+        this.accumulator = 0;
+        break;
+      }
+    }
+  }
+
+  updateResumeCountdown(deltaTime) {
+    if (this.resumeCountdown <= 0) return;
+    const seconds = this.getResumeCountdown();
+    this.resumeCountdown -= deltaTime;
+    if (this.resumeCountdown <= 0) {
+      this.resumeCountdown = 0;
+      const state = this.pausedFrom;
+      this.pausedFrom = null;
+      this.setState(state);
+    } else if (this.getResumeCountdown() !== seconds) {
+      this.emit('countdown', { seconds: this.getResumeCountdown() });
+    }
+  }
+
+  // Advance the simulation by exactly one tick
+  step() {
+    if (this.state !== 'playing' && this.state !== 'ready') return;
+
+    if (this.replayPlayer) {
+      // Jumps first: a pump-count win ends the recording on its last pump's tick
+      for (let i = this.replayPlayer.takeJumps(this.tick); i > 0 && this.state !== 'won'; i--) {
+        this.applyJump();
+      }
+      if (this.state === 'won') return;
+      if (this.replayPlayer.isFinished(this.tick)) {
+        this.gameOver();
+        return;
+      }
+    }
+
+    if (this.frozen) return; // Bird stationary until first pump
+
+    this.tick++;
+    this.prevGroundOffset = this.groundOffset;
+    this.prevCloudOffset = this.cloudOffset;
+
+    // One tick is one 60fps frame. The world scrolls at the game speed and
+    // the bird moves on its own time scale; slow-mo slows both.
+    const slow = this.effects.isActive('slowmo') ? SLOWMO_FACTOR : 1;
+    const dt = this.speed * slow;
+    const birdDt = this.getActiveTimeScale() * slow;
+
+    if (this.coop) {
+      this.stepCoop(dt, birdDt);
+      return;
+    }
+
+    // Update bird and pipes
+    this.bird.update(birdDt);
+    this.pipes.update(dt, this.gap, this.spacing, this.score);
+    this.updatePowerUps(dt);
+    this.collectCoins(this.bird);
+    this.ghostRecorder?.record(this.bird);
+
+    // Freshly respawned birds pass through everything
+    const invulnerable = this.invulnerableTicks > 0;
+    if (invulnerable) {
+      this.invulnerableTicks--;
+      this.keepBirdInBounds();
+    } else {
+      this.pipes.trackClearance(this.bird);
+    }
+
+    if (this.practicing) {
+      this.stepPractice();
+    }
+
+    // Check scoring
+    if (this.pipes.checkScore(this.bird)) {
+      this.score++;
+      this.ghostRecorder?.recordScore(this.tick);
+      this.emit('score', { score: this.score });
+      const scoredPipe = this.pipes.lastScoredPipe;
+      const clearance = scoredPipe.minClearance ?? Infinity;
+      if (clearance < NEAR_MISS_DISTANCE && !scoredPipe.hit) {
+        this.emit('nearMiss', { score: this.score, clearance });
+      }
+      this.updateDifficulty(); // Increase speed and decrease gap after scoring
+      if (this.hasWon()) {
+        this.win();
+      }
+      return;
+    }
+
+    // Check collisions (practice runs handle their own in stepPractice)
+    const cause = invulnerable || this.practicing ? null : this.checkHit();
+    if (cause && this.effects.consume('shield')) {
+      // Shield pops instead, with a moment to get clear
+      this.invulnerableTicks = SHIELD_GRACE;
+      this.keepBirdInBounds();
+      this.emit('powerUpEnd', { type: 'shield', absorbed: cause });
+    } else if (cause) {
+      this.lives--;
+      this.emit('hit', { score: this.score, cause, lives: this.lives });
+      if (this.lives > 0) {
+        this.respawn();
+      } else {
+        this.gameOver();
+      }
+      return;
+    }
+
+    this.scrollBackground(dt);
+  }
+
+  // Tick down effects, then collect whatever the bird flies through
+  updatePowerUps(dt) {
+    for (const type of this.effects.tick()) {
+      if (type === 'shrink') {
+        this.applyShrink();
+        // Growing back inside a gap edge shouldn't be an instant death
+        this.invulnerableTicks = Math.max(this.invulnerableTicks, SHIELD_GRACE);
+      }
+      this.emit('powerUpEnd', { type, absorbed: null });
+    }
+
+    if (this.effects.isActive('magnet')) {
+      this.pipes.pullPickups(this.bird, dt);
+    }
+
+    const type = this.pipes.collectPickup(this.bird);
+    if (type) {
+      this.effects.activate(type);
+      this.applyShrink();
+      this.emit('powerUp', { type, tick: this.tick });
+    }
+  }
+
+  collectCoins(bird) {
+    const collected = this.pipes.collectCoins(bird);
+    if (collected > 0) {
+      this.runCoins += collected;
+      this.emit('coin', { coins: this.runCoins });
+    }
+  }
+
+  // Replays and practice runs don't pay out
+  bankCoins() {
+    if (!this.replayPlayer && !this.practicing) {
+      this.shop.addCoins(this.runCoins);
+    }
+  }
+
+  getCoins() {
+    return this.shop.getCoins();
+  }
+
+  getRunCoins() {
+    return this.runCoins;
+  }
+
+  getShop() {
+    return this.shop;
+  }
+
+  applyShrink() {
+    this.bird.radius = BIRD_RADIUS * (this.effects.isActive('shrink') ? SHRINK_FACTOR : 1);
+  }
+
+  getEffects() {
+    return this.effects;
+  }
+
+  // Co-op tick: every bird still in flies, scores and dies on its own;
+  // the run ends when the last one goes down
+  stepCoop(dt, birdDt) {
+    for (const player of this.players) {
+      if (player.alive) player.bird.update(birdDt);
+    }
+    this.pipes.update(dt, this.gap, this.spacing, this.score);
+
+    for (let index = 0; index < this.players.length; index++) {
+      const player = this.players[index];
+      if (!player.alive) continue;
+      this.collectCoins(player.bird);
+
+      if (this.pipes.checkScore(player.bird, player.scoreFlag)) {
+        player.score++;
+        // The run's score (and so its difficulty) follows whoever is furthest ahead
+        if (player.score > this.score) {
+          this.score = player.score;
+          this.updateDifficulty();
+        }
+        this.emit('score', { score: this.score, player: index, playerScore: player.score });
+      }
+
+      const cause = this.checkHit(player.bird);
+      if (cause) {
+        player.alive = false;
+        const playersLeft = this.players.filter(other => other.alive).length;
+        this.emit('hit', { score: player.score, cause, lives: 0, player: index, playersLeft });
+      }
+    }
+
+    if (!this.players.some(player => player.alive)) {
+      this.gameOver();
+      return;
+    }
+    if (this.hasWon()) {
+      this.win();
+      return;
+    }
+
+    this.scrollBackground(dt);
+  }
+
+  // Update background (scaled by game speed)
+  scrollBackground(dt) {
+    this.groundOffset = (this.groundOffset + 2.5 * dt) % 24;
+    this.cloudOffset = (this.cloudOffset + 0.5 * dt) % this.width;
+
+    const target = biomeTarget(this.score);
+    const blend = 1 / BIOME_BLEND_TICKS;
+    if (this.biomeProgress < target) {
+      this.biomeProgress = Math.min(target, this.biomeProgress + blend);
+    } else if (this.biomeProgress > target) {
+      this.biomeProgress = Math.max(target, this.biomeProgress - blend);
+    }
+  }
+
+  getBiomeProgress() {
+    return this.biomeProgress;
+  }
+
+  // What the bird just hit, if anything: 'ceiling' | 'ground' | 'pipe' | null
+  checkHit(bird = this.bird) {
+    const playableHeight = this.height - GROUND_HEIGHT;
+    if (bird.y < bird.radius) return 'ceiling';
+    if (bird.y > playableHeight - bird.radius) return 'ground';
+    if (this.pipes.checkCollision(bird)) return 'pipe';
+    return null;
+  }
+
+  // Log hits instead of dying, and snapshot for rewinds
+  stepPractice() {
+    const cause = this.checkHit();
+    if (cause && cause !== this.practiceContact) {
+      this.practiceLog.push({ tick: this.tick, score: this.score, cause });
+      if (cause === 'pipe') {
+        const pipe = this.getNextPipe();
+        if (pipe) pipe.hit = true; // Scraping through shouldn't count as a near miss
+      }
+      this.emit('hit', { score: this.score, cause, lives: this.lives, practice: true });
+    }
+    this.practiceContact = cause;
+    this.keepBirdInBounds();
+
+    if (this.rewindBuffer.shouldCapture(this.tick)) {
+      this.rewindBuffer.push(this.captureSnapshot());
+    }
+  }
+
+  // Roll a practice run back a few seconds
+  rewind(ticks = REWIND_TICKS) {
+    if (!this.practicing || (this.state !== 'playing' && this.state !== 'paused')) return false;
+    const snapshot = this.rewindBuffer.rewind(this.tick, ticks);
+    if (!snapshot) return false;
+
+    this.restoreSnapshot(snapshot);
+    if (this.state === 'paused') {
+      // Land ready to fly again rather than counting down into it
+      this.resumeCountdown = 0;
+      this.pausedFrom = null;
+      this.setState('playing');
+    }
+    this.emit('rewind', { tick: this.tick, score: this.score });
+    return true;
+  }
+
+  // Everything that changes tick to tick, as plain data
+  captureSnapshot() {
+    const bird = this.bird;
+    return {
+      tick: this.tick,
+      score: this.score,
+      pumps: this.pumps,
+      rngState: this.rng.state,
+      pickupRngState: this.pickupRng.state,
+      effects: this.effects.snapshot(),
+      pickups: this.pipes.pickups.map(pickup => ({ ...pickup })),
+      coins: this.pipes.coins.map(coin => ({ ...coin })),
+      runCoins: this.runCoins,
+      bird: {
+        y: bird.y,
+        velocity: bird.velocity,
+        rotation: bird.rotation
+      },
+      pipes: this.pipes.pipes.map(pipe => ({ ...pipe })),
+      spawnTimer: this.pipes.spawnTimer,
+      groundOffset: this.groundOffset,
+      cloudOffset: this.cloudOffset
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    this.tick = snapshot.tick;
+    this.score = snapshot.score;
+    this.pumps = snapshot.pumps;
+    this.rng.state = snapshot.rngState;
+    this.pickupRng.state = snapshot.pickupRngState;
+    this.effects.restore(snapshot.effects);
+
+    this.bird.reset(this.bird.x, snapshot.bird.y);
+    this.bird.velocity = snapshot.bird.velocity;
+    this.bird.rotation = snapshot.bird.rotation;
+    this.bird.prevRotation = snapshot.bird.rotation;
+    this.applyShrink();
+
+    this.pipes.restore(snapshot.pipes, snapshot.pickups, snapshot.coins);
+    this.runCoins = snapshot.runCoins;
+    this.pipes.spawnTimer = snapshot.spawnTimer;
+
+    this.groundOffset = this.prevGroundOffset = snapshot.groundOffset;
+    this.cloudOffset = this.prevCloudOffset = snapshot.cloudOffset;
+    this.practiceContact = null;
+    this.invulnerableTicks = 0;
+    this.accumulator = 0;
+    this.frozen = false;
+    this.updateDifficulty();
+  }
+
+  // End the run early (practice runs have no other way out)
+  quit() {
+    if (this.state !== 'playing' && this.state !== 'paused' && this.state !== 'ready') return false;
+    this.pausedFrom = null;
+    this.resumeCountdown = 0;
+    this.gameOver();
+    return true;
+  }
+
+  // From the end of a run back to the title screen, which shows a fresh sky
+  toMenu() {
+    if (this.state !== 'gameover' && this.state !== 'won') return false;
+    this.replayPlayer = null;
+    this.ghost = null;
+    this.practicing = false;
+    this.coop = false;
+    this.profile = this.selectedProfile;
+    this.reset();
+    this.setState('menu');
+    return true;
+  }
+
+  // Put the bird back, at rest, in the middle of the nearest gap ahead
+  respawn() {
+    const pipe = this.getNextPipe();
+    const y = pipe ? (pipe.gapTop + pipe.gapBottom) / 2 : (this.height - GROUND_HEIGHT) / 2;
+    this.bird.reset(this.bird.x, y);
+    this.effects.clear(); // Power-ups are lost with the life
+    this.applyShrink();
+    if (pipe) {
+      pipe.minClearance = Infinity; // The hit shouldn't count as a near miss
+    }
+    this.invulnerableTicks = this.respawnInvulnerability;
+    this.emit('respawn', { lives: this.lives });
+  }
+
+  // Ground and ceiling stop an invulnerable bird instead of killing it
+  keepBirdInBounds() {
+    const top = this.bird.radius;
+    const bottom = this.height - GROUND_HEIGHT - this.bird.radius;
+    if (this.bird.y < top || this.bird.y > bottom) {
+      this.bird.y = Math.min(Math.max(this.bird.y, top), bottom);
+      this.bird.velocity = 0;
+    }
+  }
+
+  isInvulnerable() {
+    return this.invulnerableTicks > 0;
+  }
+
+  gameOver() {
+    this.gameOverTime = this.clock();
+
+    // Watching a replay shouldn't count as a run
+    if (this.recorder) {
+      this.saveHighScore();
+      this.saveReplay(this.recorder.finish(this.score, this.tick));
+      this.recorder = null;
+    }
+    this.finishGhost();
+    this.bankCoins();
+
+    this.setState('gameover');
+  }
+
+  win() {
+    this.gameOverTime = this.clock();
+
+    if (this.recorder) {
+      this.saveHighScore();
+      this.saveWin();
+      this.saveReplay(this.recorder.finish(this.score, this.tick));
+      this.recorder = null;
+    }
+    this.finishGhost();
+    this.bankCoins();
+
+    this.setState('won');
+  }
+
+  finishGhost() {
+    if (this.ghostRecorder) {
+      this.saveGhost(this.ghostRecorder.finish(this.score));
+      this.ghostRecorder = null;
+    }
+  }
+
+  canRestartFromGameOver() {
+    return this.clock() - this.gameOverTime >= this.restartCooldown;
+  }
+
+  // Same cooldown as game over so the celebratory pump doesn't skip the win screen
+  canRestartFromWin() {
+    return this.clock() - this.gameOverTime >= this.restartCooldown;
+  }
+
+  // Re-lay out for a new logical size. Pipes keep spawning at the old width
+  // until the next run, so resizing mid-run can't change how the run plays out.
+  resize(width, height) {
+    const ratio = width / this.width;
+    for (const cloud of this.clouds) {
+      cloud.x *= ratio;
+    }
+    this.cloudOffset *= ratio;
+    this.prevCloudOffset *= ratio;
+
+    this.width = width;
+    this.height = height;
+    this.pipes.canvasHeight = height;
+
+    // Nothing is in flight yet, so recenter the bird
+    if (this.state === 'menu' || this.state === 'ready') {
+      this.bird.reset(BIRD_X, height / 2);
+      this.partnerBird.reset(PARTNER_X, height / 2);
+    }
+  }
+
+  // How far we are between the previous and current tick (0-1)
+  getRenderAlpha() {
+    const frozen = this.state !== 'playing' && this.state !== 'paused';
+    return frozen ? 1 : this.accumulator / FIXED_STEP;
+  }
+
+  // First pipe the bird hasn't fully cleared yet
+  getNextPipe() {
+    const bird = this.bird;
+    return this.pipes.pipes.find(pipe => pipe.x + PIPE_WIDTH > bird.x - bird.radius) ?? null;
+  }
+
+  // Plain snapshot of everything a bot or test needs to decide its next move
+  observe() {
+    const bird = this.bird;
+    const nextPipe = this.getNextPipe();
+    const toPipe = pipe => ({
+      x: pipe.x,
+      width: PIPE_WIDTH,
+      gapTop: pipe.gapTop,
+      gapBottom: pipe.gapBottom,
+      variant: pipe.variant,
+      scored: pipe.scored
+    });
+
+    return {
+      state: this.state,
+      tick: this.tick,
+      score: this.score,
+      pumps: this.pumps,
+      lives: this.lives,
+      invulnerable: this.isInvulnerable(),
+      practicing: this.practicing,
+      powerUps: this.effects.active(),
+      pickups: this.pipes.pickups.map(({ type, x, y }) => ({ type, x, y })),
+      coins: this.pipes.coins.map(({ x, y }) => ({ x, y })),
+      runCoins: this.runCoins,
+      players: this.players.map(player => ({
+        y: player.bird.y,
+        velocity: player.bird.velocity,
+        score: player.score,
+        alive: player.alive
+      })),
+      speed: this.speed,
+      timeScale: this.getActiveTimeScale(),
+      gap: this.gap,
+      width: this.width,
+      height: this.height,
+      groundY: this.height - GROUND_HEIGHT,
+      bird: {
+        x: bird.x,
+        y: bird.y,
+        velocity: bird.velocity,
+        rotation: bird.rotation,
+        radius: bird.radius
+      },
+      pipes: this.pipes.pipes.map(toPipe),
+      nextPipe: nextPipe && toPipe(nextPipe)
+    };
+  }
+
+  getScore() {
+    return this.score;
+  }
+
+  getHighScore() {
+    return this.highScore;
+  }
+
+  getWins() {
+    return this.wins;
+  }
+
+  getLives() {
+    return this.lives;
+  }
+
+  getMaxLives() {
+    return this.maxLives;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  getLastReplay() {
+    return this.lastReplay;
+  }
+
+  getBestReplay() {
+    return this.loadBestReplay();
+  }
+
+  isReplaying() {
+    return this.replayPlayer !== null;
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  // Pin a seed for all following runs (null goes back to random seeds)
+  setSeed(seed) {
+    this.fixedSeed = seed !== undefined && seed !== null ? normalizeSeed(seed) : null;
+  }
+}
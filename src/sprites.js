@@ -0,0 +1,86 @@
+// Offscreen sprite cache
+//
+// Scenery that looks the same frame after frame (pipe bodies and caps, the
+// cloud layer, the ground strip) is drawn once to an offscreen canvas and
+// blitted from then on. Each sprite remembers the key it was drawn for (theme,
+// colors, size...) and is redrawn only when that key changes.
+
+// Offscreen canvas where the platform has one; null when headless
+export function createSpriteCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return null;
+}
+
+export class SpriteCache {
+  constructor(createCanvas = createSpriteCanvas) {
+    this.createCanvas = createCanvas;
+    this.pixelRatio = 1; // Sprites are drawn at device resolution, blitted in logical units
+    this.sprites = new Map(); // name -> { key, canvas, width, height, pixelRatio }
+    this.builds = 0;
+  }
+
+  // Sprite `name` for `key` (an array, compared item by item), calling
+  // draw(ctx) in logical units to redraw it when the key has changed.
+  // Null if there's no offscreen canvas to draw on. The cache keeps its own
+  // copy of the key, so per-frame callers can refill one array in place.
+  get(name, key, width, height, draw) {
+    const sprite = this.sprites.get(name);
+    if (sprite && sprite.pixelRatio === this.pixelRatio && sameKey(sprite.key, key)) {
+      return sprite;
+    }
+
+    const ratio = this.pixelRatio;
+    const canvasWidth = Math.max(1, Math.ceil(width * ratio));
+    const canvasHeight = Math.max(1, Math.ceil(height * ratio));
+    // A new key at the same size (a color blending through the day) is
+    // redrawn on the canvas it already has
+    let canvas = sprite?.canvas;
+    if (!canvas || canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+      canvas = this.createCanvas(canvasWidth, canvasHeight);
+      if (!canvas) return null;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    ctx.save(); // Leaves a reused canvas with no state from the last draw
+    ctx.scale(ratio, ratio);
+    draw(ctx);
+    ctx.restore();
+    this.builds++;
+
+    const built = { key: key.slice(), canvas, width, height, pixelRatio: ratio };
+    this.sprites.set(name, built);
+    return built;
+  }
+
+  // Blit a horizontal band of a sprite: rows [sy, sy + height) to (x, y)
+  drawSlice(ctx, sprite, sy, x, y, height) {
+    if (height <= 0) return;
+    const ratio = sprite.pixelRatio;
+    ctx.drawImage(
+      sprite.canvas,
+      0, sy * ratio, sprite.width * ratio, height * ratio,
+      x, y, sprite.width, height
+    );
+  }
+
+  clear() {
+    this.sprites.clear();
+  }
+}
+
+function sameKey(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
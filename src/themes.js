@@ -0,0 +1,97 @@
+// Visual themes
+//
+// A theme is everything the draw routines need beyond the day/night palette:
+// fixed colors for the bird's face, coins and highlights, plus a few style
+// switches. Bird and background colors still come from the shop and the
+// biomes; a theme can replace the day/night palette (neon, under any bought
+// sky) or run every color through a filter (monochrome).
+
+export const THEMES = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    pixel: false, // Blocky sprites instead of curves and gradients
+    glow: 0, // shadowBlur around the bird and pipe edges
+    palette: null, // Fixed palette instead of the day/night cycle
+    filter: null, // '#RRGGBB' -> '#RRGGBB', applied to palette and bird colors
+    bird: { beak: '#E31937', eye: 'white', pupil: 'black', blush: 'rgba(255, 150, 150, 0.6)' },
+    pipeOutline: null,
+    highlight: 'rgba(255, 255, 255, 0.2)',
+    coin: ['#F1C40F', '#F9E79F']
+  },
+  neon: {
+    id: 'neon',
+    name: 'Neon',
+    pixel: false,
+    glow: 15,
+    palette: {
+      sky: ['#0D0221', '#1A0B3D', '#0D0221'],
+      clouds: '#2A1B5C',
+      pipe: ['#1A0B3D', '#240F52', '#1A0B3D'],
+      ground: { dirt: '#0D0221', grass: ['#FF00FF', '#8A00FF'], blades: '#00FFFF' },
+      night: 0.6
+    },
+    filter: null,
+    bird: { beak: '#FF00FF', eye: '#00FFFF', pupil: '#0D0221', blush: 'rgba(255, 0, 255, 0.5)' },
+    pipeOutline: '#00FFFF',
+    highlight: 'rgba(0, 255, 255, 0.3)',
+    coin: ['#FFFF00', '#FFFFFF']
+  },
+  pixel: {
+    id: 'pixel',
+    name: 'Pixel Art',
+    pixel: true,
+    glow: 0,
+    palette: null,
+    filter: null,
+    bird: { beak: '#E31937', eye: 'white', pupil: 'black', blush: 'rgba(255, 150, 150, 0.6)' },
+    pipeOutline: '#1B4D2E',
+    highlight: 'rgba(255, 255, 255, 0.25)',
+    coin: ['#F1C40F', '#F9E79F']
+  },
+  mono: {
+    id: 'mono',
+    name: 'Monochrome',
+    pixel: false,
+    glow: 0,
+    palette: null,
+    filter: grayscale,
+    bird: { beak: '#444444', eye: 'white', pupil: 'black', blush: 'rgba(200, 200, 200, 0.6)' },
+    pipeOutline: null,
+    highlight: 'rgba(255, 255, 255, 0.2)',
+    coin: ['#BBBBBB', '#EEEEEE']
+  }
+};
+
+export const DEFAULT_THEME = 'classic';
+
+export function resolveTheme(id) {
+  return THEMES[id] ?? THEMES[DEFAULT_THEME];
+}
+
+// Palette with the theme's filter applied to every color
+export function filterPalette(palette, filter) {
+  if (!filter) return palette;
+  return {
+    sky: palette.sky.map(filter),
+    clouds: filter(palette.clouds),
+    pipe: palette.pipe.map(filter),
+    ground: {
+      dirt: filter(palette.ground.dirt),
+      grass: palette.ground.grass.map(filter),
+      blades: filter(palette.ground.blades)
+    },
+    night: palette.night
+  };
+}
+
+// '#RRGGBB' to its gray by perceived brightness
+export function grayscale(color) {
+  const value = parseInt(color.slice(1), 16);
+  const r = (value >> 16) & 0xFF;
+  const g = (value >> 8) & 0xFF;
+  const b = value & 0xFF;
+  const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+  const hex = gray.toString(16).padStart(2, '0').toUpperCase();
+  return `#${hex}${hex}${hex}`;
+}
@@ -0,0 +1,89 @@
+// Responsive, high-DPI canvas scaling
+//
+// The game draws in logical units. The logical height is always BASE_HEIGHT so
+// physics feel the same everywhere; the logical width stretches to fill wide
+// screens (up to MAX_WIDTH) and shrinks on tall phones (down to MIN_WIDTH).
+// The canvas backing store is sized in device pixels so nothing is blurry.
+
+export const BASE_WIDTH = 600;
+export const BASE_HEIGHT = 900;
+export const MIN_WIDTH = 400;
+export const MAX_WIDTH = 1200;
+
+// Pick a logical size and CSS scale for the available space (in CSS pixels)
+export function computeLayout(availableWidth, availableHeight) {
+  const aspect = availableWidth / availableHeight;
+  const width = Math.round(Math.min(Math.max(BASE_HEIGHT * aspect, MIN_WIDTH), MAX_WIDTH));
+  const height = BASE_HEIGHT;
+
+  // Largest scale that fits; whatever aspect is left over gets letterboxed
+  const scale = Math.min(availableWidth / width, availableHeight / height);
+
+  return {
+    width,
+    height,
+    scale,
+    cssWidth: Math.floor(width * scale),
+    cssHeight: Math.floor(height * scale)
+  };
+}
+
+export class Viewport {
+  constructor(canvas, container) {
+    this.canvas = canvas;
+    this.container = container;
+    this.width = BASE_WIDTH;
+    this.height = BASE_HEIGHT;
+    this.pixelRatio = 1; // Device pixels per logical unit
+    this.resizeCallbacks = [];
+    this.pendingFrame = null;
+  }
+
+  onResize(callback) {
+    this.resizeCallbacks.push(callback);
+  }
+
+  fit() {
+    const layout = computeLayout(window.innerWidth, window.innerHeight);
+    const dpr = window.devicePixelRatio || 1;
+
+    this.width = layout.width;
+    this.height = layout.height;
+
+    this.container.style.width = `${layout.cssWidth}px`;
+    this.container.style.height = `${layout.cssHeight}px`;
+    this.canvas.width = Math.round(layout.cssWidth * dpr);
+    this.canvas.height = Math.round(layout.cssHeight * dpr);
+    this.pixelRatio = this.canvas.width / this.width;
+
+    for (const callback of this.resizeCallbacks) {
+      callback(this.width, this.height, this.pixelRatio);
+    }
+  }
+
+  // Re-fit on window resize and rotation
+  listen() {
+    const schedule = () => {
+      if (this.pendingFrame !== null) return;
+      this.pendingFrame = requestAnimationFrame(() => {
+        this.pendingFrame = null;
+        this.fit();
+      });
+    };
+
+    window.addEventListener('resize', schedule);
+    window.addEventListener('orientationchange', schedule);
+    if (window.visualViewport) {
+      window.visualViewport.addEventListener('resize', schedule);
+    }
+  }
+
+  // Map a pointer position (clientX/clientY) to logical game coordinates
+  clientToLogical(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left) / rect.width * this.width,
+      y: (clientY - rect.top) / rect.height * this.height
+    };
+  }
+}
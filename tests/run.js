@@ -1,18 +1,28 @@
 #!/usr/bin/env node
 // Node.js test runner for Fappy Bird
 
-// Mock browser globals for Node.js
-globalThis.localStorage = {
-  data: {},
-  getItem(key) { return this.data[key] || null; },
-  setItem(key, value) { this.data[key] = value; }
-};
-
-import { Bird, TERMINAL_VELOCITY } from '../src/bird.js';
-import { PipeManager, PIPE_WIDTH } from '../src/pipes.js';
+import { Bird, TERMINAL_VELOCITY, FLAP_FRAME_MS } from '../src/bird.js';
+import {
+  PipeManager, PIPE_WIDTH, CAP_HEIGHT, CAP_OVERHANG, PIPE_VARIANTS, DOUBLE_SPACING, COINS_PER_GAP
+} from '../src/pipes.js';
+import { ellipseIntersectsRect } from '../src/collision.js';
 import { MotionDetector } from '../src/motionDetection.js';
 import { HandTracker } from '../src/handTracking.js';
-import { Game } from '../src/game.js';
+import { Game, FIXED_STEP, HIT_STOP_MS, DEATH_MIN_MS } from '../src/game.js';
+import { Simulation, MemoryStorage, GROUND_HEIGHT, MAX_GHOSTS } from '../src/simulation.js';
+import { EventEmitter } from '../src/events.js';
+import { DIFFICULTY_PROFILES, evaluateCurve, resolveProfile, getDifficultyAt } from '../src/difficulty.js';
+import { SeededRandom, normalizeSeed } from '../src/random.js';
+import { RewindBuffer } from '../src/practice.js';
+import { Ghost, GhostRecorder } from '../src/ghost.js';
+import { ActiveEffects, POWER_UPS, SLOWMO_FACTOR, SHRINK_FACTOR } from '../src/powerups.js';
+import { computeLayout, BASE_HEIGHT, MIN_WIDTH, MAX_WIDTH } from '../src/viewport.js';
+import { Shop, BACKGROUNDS } from '../src/shop.js';
+import { ParticleSystem } from '../src/particles.js';
+import { THEMES, resolveTheme, filterPalette, grayscale } from '../src/themes.js';
+import { SpriteCache } from '../src/sprites.js';
+import { QualityManager, QUALITY_TIERS, SAMPLE_FRAMES, UPGRADE_SAMPLES } from '../src/quality.js';
+import { BIOMES, BIOME_LENGTH, BIOME_BLEND_TICKS, biomeTarget, getBiomePalette, mixColor } from '../src/biomes.js';
 
 // Simple test framework
 let passed = 0;
@@ -168,6 +178,107 @@ describe('PipeManager - Collision', () => {
   });
 });
 
+describe('Collision - Ellipse vs Rect', () => {
+  const rect = { left: 100, top: 100, right: 200, bottom: 200 };
+  const ellipse = (x, y, rotation = 0) => ({ x, y, radiusX: 18, radiusY: 15, rotation });
+
+  test('overlapping center', () => {
+    assertTrue(ellipseIntersectsRect(ellipse(150, 150), rect));
+  });
+
+  test('touching an edge', () => {
+    assertTrue(ellipseIntersectsRect(ellipse(85, 150), rect));
+    assertFalse(ellipseIntersectsRect(ellipse(81, 150), rect));
+  });
+
+  test('misses a corner its bounding box would hit', () => {
+    assertFalse(ellipseIntersectsRect(ellipse(88, 88), rect));
+  });
+
+  test('rotation changes reach', () => {
+    // Long axis horizontal reaches the rect, turned 90 degrees it doesn't
+    assertTrue(ellipseIntersectsRect(ellipse(84, 150), rect));
+    assertFalse(ellipseIntersectsRect(ellipse(84, 150, Math.PI / 2), rect));
+  });
+});
+
+describe('PipeManager - Cap Collision', () => {
+  const pipe = () => ({ x: 100, gapTop: 200, gapBottom: 360, scored: false });
+
+  test('cap overhang is solid', () => {
+    const pm = new PipeManager(400, 600, 80);
+    pm.pipes = [pipe()];
+    const bird = new Bird(100 - CAP_OVERHANG - 16, 200 - CAP_HEIGHT / 2);
+    assertTrue(pm.checkCollision(bird));
+  });
+
+  test('follows bird rotation', () => {
+    const pm = new PipeManager(400, 600, 80);
+    pm.pipes = [pipe()];
+    const bird = new Bird(78, 200 - CAP_HEIGHT / 2);
+    assertTrue(pm.checkCollision(bird));
+    bird.rotation = 90;
+    assertFalse(pm.checkCollision(bird));
+  });
+
+  test('empty space next to a cap corner is safe', () => {
+    const pm = new PipeManager(400, 600, 80);
+    pm.pipes = [pipe()];
+    // Diagonally off the bottom cap's top-left corner
+    const bird = new Bird(100 - CAP_OVERHANG - 13, 360 - 13);
+    assertFalse(pm.checkCollision(bird));
+  });
+});
+
+// ========== RANDOM TESTS ==========
+
+describe('SeededRandom - Determinism', () => {
+  test('same seed produces same sequence', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    for (let i = 0; i < 10; i++) assertEqual(a.next(), b.next());
+  });
+
+  test('different seeds diverge', () => {
+    const a = new SeededRandom(1);
+    const b = new SeededRandom(2);
+    assertTrue(a.next() !== b.next());
+  });
+
+  test('values are in [0, 1)', () => {
+    const rng = new SeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const v = rng.next();
+      assertTrue(v >= 0 && v < 1);
+    }
+  });
+
+  test('reset rewinds the sequence', () => {
+    const rng = new SeededRandom(99);
+    const first = rng.next();
+    rng.next();
+    rng.reset();
+    assertEqual(rng.next(), first);
+  });
+
+  test('string seeds are hashed consistently', () => {
+    assertEqual(normalizeSeed('banana'), normalizeSeed('banana'));
+    assertEqual(normalizeSeed('123'), 123);
+  });
+});
+
+describe('PipeManager - Seeded Layout', () => {
+  test('same seed spawns same gaps', () => {
+    const a = new PipeManager(400, 600, 80, new SeededRandom(5));
+    const b = new PipeManager(400, 600, 80, new SeededRandom(5));
+    for (let i = 0; i < 5; i++) {
+      a.spawnPipe();
+      b.spawnPipe();
+    }
+    for (let i = 0; i < 5; i++) assertEqual(a.pipes[i].gapTop, b.pipes[i].gapTop);
+  });
+});
+
 // ========== MOTION DETECTION TESTS ==========
 
 describe('MotionDetector - Velocity', () => {
@@ -309,6 +420,24 @@ describe('HandTracker - Hand Center', () => {
   });
 });
 
+describe('HandTracker - Two Hands', () => {
+  test('splits two hands left and right', () => {
+    const ht = new HandTracker();
+    ht.updateHandCenters([{ x: 500, y: 10 }, { x: 100, y: 20 }]);
+    const [left, right] = ht.getHandPositions();
+    assertEqual(left.x, 100);
+    assertEqual(right.x, 500);
+  });
+
+  test('a lone hand stays on its own side', () => {
+    const ht = new HandTracker();
+    ht.updateHandCenters([{ x: 500, y: 10 }]);
+    const [left, right] = ht.getHandPositions();
+    assertEqual(left, null);
+    assertEqual(right.x, 500);
+  });
+});
+
 describe('HandTracker - Persistence', () => {
   test('initializes persistence state', () => {
     const ht = new HandTracker();
@@ -359,14 +488,14 @@ describe('Game - Speed Initialization', () => {
     assertEqual(game.speed, 0.5);
   });
 
-  test('speedIncrement is 0.05', () => {
+  test('speed step is 0.05', () => {
     const game = new Game(mockCanvas);
-    assertEqual(game.speedIncrement, 0.05);
+    assertEqual(game.profile.speed.step, 0.05);
   });
 
-  test('maxSpeed is 1.0', () => {
+  test('speed limit is 1.0', () => {
     const game = new Game(mockCanvas);
-    assertEqual(game.maxSpeed, 1.0);
+    assertEqual(game.profile.speed.limit, 1.0);
   });
 });
 
@@ -440,6 +569,2138 @@ describe('Game - Reset', () => {
   });
 });
 
+describe('Game - Seeding', () => {
+  test('fixed seed reproduces clouds and pipes across runs', () => {
+    const game = new Game(mockCanvas, { seed: 1234 });
+    game.start();
+    const clouds = game.clouds.map(c => c.y).join();
+    game.pipes.spawnPipe();
+    const gapTop = game.pipes.pipes[0].gapTop;
+
+    game.state = 'gameover';
+    game.start();
+    assertEqual(game.clouds.map(c => c.y).join(), clouds);
+    game.pipes.spawnPipe();
+    assertEqual(game.pipes.pipes[0].gapTop, gapTop);
+  });
+
+  test('cloud count does not change the pipe layout', () => {
+    const desktop = new Game(mockCanvas, { seed: 99, cloudCount: 5 });
+    const mobile = new Game(mockCanvas, { seed: 99, cloudCount: 3 });
+    desktop.start();
+    mobile.start();
+    assertTrue(desktop.clouds.length !== mobile.clouds.length);
+    desktop.pipes.spawnPipe();
+    mobile.pipes.spawnPipe();
+    assertEqual(mobile.pipes.pipes[0].gapTop, desktop.pipes.pipes[0].gapTop);
+  });
+
+  test('two games with the same seed match', () => {
+    const a = new Game(mockCanvas, { seed: 'bug-report' });
+    const b = new Game(mockCanvas, { seed: 'bug-report' });
+    assertEqual(a.getSeed(), b.getSeed());
+    assertEqual(a.clouds[0].x, b.clouds[0].x);
+  });
+
+  test('unseeded runs roll a new seed', () => {
+    const game = new Game(mockCanvas);
+    const seeds = new Set();
+    for (let i = 0; i < 5; i++) {
+      game.reset();
+      seeds.add(game.getSeed());
+    }
+    assertTrue(seeds.size > 1);
+  });
+});
+
+describe('Game - Replays', () => {
+  function playRun(game) {
+    game.start();
+    game.jump();
+    for (let i = 0; i < 3000 && game.getState() === 'playing'; i++) {
+      if (i % 22 === 0) game.jump();
+      game.update(10 + (i % 7) * 3); // Uneven frame times
+    }
+    if (game.getState() === 'playing') game.gameOver();
+  }
+
+  test('records seed, difficulty and jump ticks', () => {
+    const game = new Game(mockCanvas, { seed: 77 });
+    playRun(game);
+    const replay = game.getLastReplay();
+    assertEqual(replay.seed, 77);
+    assertEqual(replay.difficulty.id, 'normal');
+    assertEqual(replay.difficulty.speed.limit, game.profile.speed.limit);
+    assertEqual(replay.jumps[0], 0);
+    assertEqual(replay.ticks, game.tick);
+  });
+
+  test('playback reproduces the run exactly', () => {
+    const game = new Game(mockCanvas);
+    playRun(game);
+    const replay = game.getLastReplay();
+    const { y, velocity } = game.bird;
+    const score = game.getScore();
+
+    game.playReplay(replay);
+    for (let i = 0; i < 5000 && game.getState() !== 'gameover'; i++) {
+      game.update(16.67);
+    }
+    assertEqual(game.bird.y, y);
+    assertEqual(game.bird.velocity, velocity);
+    assertEqual(game.getScore(), score);
+    assertEqual(game.tick, replay.ticks);
+  });
+
+  test('player input is ignored during playback', () => {
+    const game = new Game(mockCanvas);
+    playRun(game);
+    game.playReplay(game.getLastReplay());
+    assertFalse(game.jump());
+  });
+});
+
+describe('Game - Fixed Timestep', () => {
+  function runAt(frameTime, ticks) {
+    const game = new Game(mockCanvas, { seed: 3 });
+    game.start();
+    game.jump();
+    while (game.tick < ticks && game.getState() === 'playing') {
+      game.update(frameTime);
+    }
+    return game;
+  }
+
+  test('physics is identical at 60Hz and 144Hz', () => {
+    const a = runAt(1000 / 60, 40);
+    const b = runAt(1000 / 144, 40);
+    assertEqual(a.tick, b.tick);
+    assertEqual(a.bird.y, b.bird.y);
+    assertEqual(a.bird.velocity, b.bird.velocity);
+  });
+
+  test('short frames accumulate until a tick is due', () => {
+    const game = runAt(1000 / 60, 1);
+    const tick = game.tick;
+    game.update(5);
+    assertEqual(game.tick, tick);
+    game.update(12);
+    assertEqual(game.tick, tick + 1);
+  });
+
+  test('long hitches are capped', () => {
+    const game = runAt(1000 / 60, 1);
+    const tick = game.tick;
+    game.update(1000);
+    assertTrue(game.tick - tick <= 5);
+    assertEqual(game.accumulator, 0);
+  });
+
+  test('render alpha reflects the leftover time', () => {
+    const game = runAt(1000 / 60, 1);
+    game.update(FIXED_STEP / 2);
+    const alpha = game.getRenderAlpha();
+    assertTrue(alpha > 0.49 && alpha < 0.51);
+  });
+});
+
+describe('Bird - Interpolation', () => {
+  test('update keeps previous position', () => {
+    const bird = new Bird(100, 200);
+    bird.velocity = 5;
+    bird.update();
+    assertEqual(bird.prevY, 200);
+  });
+});
+
+describe('Game - Win Condition', () => {
+  test('starts with a score target', () => {
+    const game = new Game(mockCanvas);
+    assertTrue(game.winCondition.score > 0);
+  });
+
+  test('reaching the target score wins', () => {
+    const game = new Game(mockCanvas, { winCondition: { score: 1 } });
+    game.start();
+    game.jump();
+    game.pipes.pipes.push({ x: -PIPE_WIDTH + 10, prevX: 0, gapTop: 0, gapBottom: 600, scored: false });
+    game.update(FIXED_STEP);
+    assertEqual(game.getState(), 'won');
+  });
+
+  test('pump count target wins on the jump', () => {
+    const game = new Game(mockCanvas, { winCondition: { score: null, pumps: 3 } });
+    game.start();
+    game.jump();
+    game.jump();
+    assertEqual(game.getState(), 'playing');
+    game.jump();
+    assertEqual(game.getState(), 'won');
+  });
+
+  test('a win on the first pump counts', () => {
+    const game = new Game(mockCanvas, { winCondition: { score: null, pumps: 1 } });
+    game.start();
+    game.jump();
+    assertEqual(game.getState(), 'won');
+  });
+
+  test('a pump-count win replays as a win', () => {
+    const game = new Game(mockCanvas, { seed: 7, winCondition: { score: null, pumps: 5 } });
+    game.start();
+    for (let i = 0; i < 500 && game.getState() !== 'won'; i++) {
+      if (i % 20 === 0) game.jump();
+      game.update(FIXED_STEP);
+    }
+    assertEqual(game.getState(), 'won');
+    const replay = game.getLastReplay();
+
+    game.playReplay(replay);
+    for (let i = 0; i < 1000 && (game.getState() === 'ready' || game.getState() === 'playing'); i++) {
+      game.update(FIXED_STEP);
+    }
+    assertEqual(game.getState(), 'won');
+    assertEqual(game.pumps, 5);
+    assertEqual(game.tick, replay.ticks);
+  });
+
+  test('wins are persisted', () => {
+    const storage = new MemoryStorage();
+    const game = new Game(mockCanvas, { storage, winCondition: { score: null, pumps: 1 } });
+    game.start();
+    game.jump();
+    game.jump();
+    assertEqual(game.getWins(), 1);
+    assertEqual(new Game(mockCanvas, { storage }).getWins(), 1);
+  });
+
+  test('restart from win respects cooldown', () => {
+    const game = new Game(mockCanvas, { winCondition: { score: null, pumps: 1 } });
+    game.start();
+    game.jump();
+    game.jump();
+    assertFalse(game.jump());
+    assertEqual(game.getState(), 'won');
+    game.gameOverTime -= game.restartCooldown;
+    assertTrue(game.jump());
+    assertEqual(game.getState(), 'ready');
+  });
+});
+
+describe('Game - Pause', () => {
+  function playingGame() {
+    const game = new Game(mockCanvas);
+    game.start();
+    game.jump();
+    game.update(FIXED_STEP);
+    return game;
+  }
+
+  test('pause stops the simulation', () => {
+    const game = playingGame();
+    assertTrue(game.pause());
+    assertEqual(game.getState(), 'paused');
+    const { tick } = game;
+    const y = game.bird.y;
+    game.update(1000);
+    assertEqual(game.tick, tick);
+    assertEqual(game.bird.y, y);
+  });
+
+  test('cannot pause from menu or game over', () => {
+    const game = new Game(mockCanvas);
+    assertFalse(game.pause());
+    game.state = 'gameover';
+    assertFalse(game.pause());
+  });
+
+  test('resume counts down before play continues', () => {
+    const game = playingGame();
+    game.pause();
+    assertTrue(game.resume());
+    assertTrue(game.isResuming());
+    assertEqual(game.getResumeCountdown(), 3);
+    game.update(1500);
+    assertEqual(game.getState(), 'paused');
+    assertEqual(game.getResumeCountdown(), 2);
+    game.update(1500);
+    assertEqual(game.getState(), 'playing');
+  });
+
+  test('jump while paused resumes without flapping', () => {
+    const game = playingGame();
+    const velocity = game.bird.velocity;
+    game.pause();
+    assertFalse(game.jump());
+    assertTrue(game.isResuming());
+    assertEqual(game.bird.velocity, velocity);
+  });
+
+  test('pausing on the ready screen resumes immediately', () => {
+    const game = new Game(mockCanvas);
+    game.start();
+    game.pause();
+    game.resume();
+    assertEqual(game.getState(), 'ready');
+  });
+});
+
+// ========== DIFFICULTY TESTS ==========
+
+describe('Difficulty - Curves', () => {
+  test('constant curve', () => {
+    assertEqual(evaluateCurve(0.4, 50), 0.4);
+  });
+
+  test('ramp curve clamps at limit', () => {
+    const curve = { start: 200, step: -4, limit: 160 };
+    assertEqual(evaluateCurve(curve, 5), 180);
+    assertEqual(evaluateCurve(curve, 50), 160);
+  });
+
+  test('keyframe curve interpolates and holds ends', () => {
+    const curve = [[0, 100], [10, 200], [20, 150]];
+    assertEqual(evaluateCurve(curve, -1), 100);
+    assertEqual(evaluateCurve(curve, 5), 150);
+    assertEqual(evaluateCurve(curve, 15), 175);
+    assertEqual(evaluateCurve(curve, 99), 150);
+  });
+
+  test('normal profile matches the classic ramp', () => {
+    const d = getDifficultyAt(DIFFICULTY_PROFILES.normal, 0);
+    assertEqual(d.speed, 0.5);
+    assertEqual(d.gap, 200);
+    assertEqual(d.spacing, 220);
+    assertEqual(d.gravity, 0.4);
+  });
+
+  test('unknown ids fall back to normal', () => {
+    assertEqual(resolveProfile('nope').id, 'normal');
+  });
+
+  test('custom profile fills missing curves from normal', () => {
+    const profile = resolveProfile({ gap: [[0, 300], [10, 250]] });
+    assertEqual(profile.id, 'custom');
+    assertEqual(profile.gravity, DIFFICULTY_PROFILES.normal.gravity);
+    assertEqual(evaluateCurve(profile.gap, 10), 250);
+  });
+});
+
+describe('Difficulty - Simulation', () => {
+  test('profile sets gravity and spacing', () => {
+    const sim = new Simulation({ difficulty: 'hard' });
+    assertEqual(sim.bird.gravity, DIFFICULTY_PROFILES.hard.gravity);
+    assertEqual(sim.spacing, DIFFICULTY_PROFILES.hard.spacing);
+  });
+
+  test('selected profile persists', () => {
+    const storage = new MemoryStorage();
+    new Simulation({ storage }).setDifficulty('insane');
+    assertEqual(new Simulation({ storage }).getDifficulty().id, 'insane');
+  });
+
+  test('high scores are kept per profile', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ storage });
+    sim.setDifficulty('hard');
+    sim.start();
+    sim.score = 7;
+    sim.gameOver();
+    assertEqual(storage.getItem('fappyHighScore:hard'), '7');
+    assertEqual(storage.getItem('fappyHighScore'), null);
+    sim.setDifficulty('normal');
+    assertEqual(sim.getHighScore(), 0);
+    sim.setDifficulty('hard');
+    assertEqual(sim.getHighScore(), 7);
+  });
+
+  test('custom profile is saved and offered', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ storage });
+    sim.setCustomProfile({ speed: 0.8, gravity: [[0, 0.3], [10, 0.5]] });
+    assertEqual(sim.getDifficulty().id, 'custom');
+    assertEqual(sim.getProfiles().length, 5);
+    const reloaded = new Simulation({ storage });
+    assertEqual(reloaded.speed, 0.8);
+    assertEqual(reloaded.bird.gravity, 0.3);
+  });
+
+  test('replays play back under their own profile', () => {
+    const sim = new Simulation({ difficulty: 'easy', seed: 4 });
+    sim.start();
+    sim.jump();
+    for (let i = 0; i < 30; i++) sim.step();
+    sim.gameOver();
+    const y = sim.bird.y;
+    sim.setDifficulty('insane');
+    sim.playReplay(sim.getLastReplay());
+    while (sim.getState() !== 'gameover') sim.step();
+    assertEqual(sim.bird.y, y);
+    sim.state = 'menu';
+    sim.start();
+    assertEqual(sim.profile.id, 'insane');
+  });
+});
+
+// ========== HEADLESS SIMULATION TESTS ==========
+
+describe('Simulation - Headless', () => {
+  test('runs without canvas or browser globals', () => {
+    const sim = new Simulation({ seed: 1 });
+    sim.start();
+    sim.jump();
+    for (let i = 0; i < 10; i++) sim.step();
+    assertEqual(sim.tick, 10);
+  });
+
+  test('uses injected storage', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('fappyHighScore', '12');
+    const sim = new Simulation({ storage });
+    assertEqual(sim.getHighScore(), 12);
+    sim.start();
+    sim.score = 20;
+    sim.gameOver();
+    assertEqual(storage.getItem('fappyHighScore'), '20');
+  });
+
+  test('uses injected clock for restart cooldown', () => {
+    let now = 0;
+    const sim = new Simulation({ clock: () => now });
+    sim.start();
+    sim.jump();
+    sim.gameOver();
+    assertFalse(sim.jump());
+    now = sim.restartCooldown;
+    assertTrue(sim.jump());
+  });
+
+  test('step does nothing outside of play', () => {
+    const sim = new Simulation();
+    sim.step();
+    assertEqual(sim.tick, 0);
+  });
+
+  // Flap whenever the bird sinks below a point just above the next gap's floor
+  function botStep(sim) {
+    const { bird, nextPipe, groundY } = sim.observe();
+    const target = nextPipe ? nextPipe.gapBottom - 40 : groundY / 2;
+    if (bird.y > target && bird.velocity > 0) sim.jump();
+    sim.step();
+  }
+
+  test('observe returns a plain snapshot', () => {
+    const sim = new Simulation({ seed: 2 });
+    sim.start();
+    sim.jump();
+    while (sim.pipes.pipes.length === 0) botStep(sim);
+    const obs = sim.observe();
+    assertEqual(obs.state, 'playing');
+    assertEqual(obs.tick, sim.tick);
+    assertEqual(obs.bird.y, sim.bird.y);
+    assertTrue(obs.nextPipe !== null);
+    obs.bird.y = -1;
+    assertTrue(sim.bird.y !== -1);
+  });
+
+  test('a simple bot can fly through pipes', () => {
+    const sim = new Simulation({ seed: 'bot', winCondition: { score: null } });
+    sim.start();
+    sim.jump();
+    for (let i = 0; i < 5000 && sim.getState() === 'playing'; i++) {
+      botStep(sim);
+    }
+    assertTrue(sim.getScore() >= 3, `bot scored ${sim.getScore()}`);
+  });
+});
+
+// ========== EVENT TESTS ==========
+
+describe('EventEmitter', () => {
+  test('calls every subscriber with the payload', () => {
+    const emitter = new EventEmitter();
+    const seen = [];
+    emitter.on('ping', data => seen.push(['a', data]));
+    emitter.on('ping', data => seen.push(['b', data]));
+    emitter.emit('ping', 1);
+    assertEqual(seen.length, 2);
+    assertEqual(seen[1][1], 1);
+  });
+
+  test('unsubscribe stops delivery', () => {
+    const emitter = new EventEmitter();
+    let count = 0;
+    const off = emitter.on('ping', () => count++);
+    emitter.emit('ping');
+    off();
+    emitter.emit('ping');
+    assertEqual(count, 1);
+  });
+});
+
+describe('Simulation - Events', () => {
+  function record(sim) {
+    const events = [];
+    for (const name of ['stateChange', 'jump', 'score', 'hit', 'nearMiss', 'difficultyChange', 'countdown']) {
+      sim.on(name, data => events.push({ name, ...data }));
+    }
+    return events;
+  }
+
+  test('stateChange fires on every transition', () => {
+    const sim = new Simulation();
+    const events = record(sim);
+    sim.start();
+    sim.jump();
+    sim.gameOver();
+    const changes = events.filter(e => e.name === 'stateChange').map(e => `${e.from}>${e.to}`);
+    assertEqual(changes.join(), 'menu>ready,ready>playing,playing>gameover');
+  });
+
+  test('jump fires for each flap', () => {
+    const sim = new Simulation();
+    const events = record(sim);
+    sim.start();
+    sim.jump();
+    sim.jump();
+    assertEqual(events.filter(e => e.name === 'jump').length, 2);
+  });
+
+  test('score and difficultyChange fire when passing a pipe', () => {
+    const sim = new Simulation();
+    sim.start();
+    sim.jump();
+    const events = record(sim);
+    sim.pipes.pipes.push({ x: -PIPE_WIDTH + 10, gapTop: 0, gapBottom: 600, scored: false });
+    sim.step();
+    const names = events.map(e => e.name);
+    assertTrue(names.includes('score'));
+    assertTrue(names.includes('difficultyChange'));
+    assertFalse(names.includes('nearMiss'));
+  });
+
+  test('nearMiss fires for a tight pass', () => {
+    const sim = new Simulation();
+    sim.start();
+    sim.jump();
+    const events = record(sim);
+    sim.pipes.pipes.push({ x: -PIPE_WIDTH + 10, gapTop: 0, gapBottom: 600, scored: false, minClearance: 3 });
+    sim.step();
+    const nearMiss = events.find(e => e.name === 'nearMiss');
+    assertTrue(!!nearMiss);
+    assertEqual(nearMiss.clearance, 3);
+  });
+
+  test('hit reports its cause', () => {
+    const sim = new Simulation();
+    sim.start();
+    sim.jump();
+    const events = record(sim);
+    sim.bird.y = sim.height;
+    sim.step();
+    const hit = events.find(e => e.name === 'hit');
+    assertEqual(hit.cause, 'ground');
+    assertEqual(events[events.length - 1].to, 'gameover');
+  });
+
+  test('countdown fires each second while resuming', () => {
+    const sim = new Simulation();
+    sim.start();
+    sim.jump();
+    sim.pause();
+    const events = record(sim);
+    sim.resume();
+    for (let i = 0; i < 4; i++) sim.update(1000);
+    const seconds = events.filter(e => e.name === 'countdown').map(e => e.seconds);
+    assertEqual(seconds.join(), '3,2,1');
+    assertEqual(sim.getState(), 'playing');
+  });
+});
+
+// ========== VIEWPORT TESTS ==========
+
+describe('Viewport - Layout', () => {
+  test('keeps the base size on a 2:3 window', () => {
+    const layout = computeLayout(600, 900);
+    assertEqual(layout.width, 600);
+    assertEqual(layout.height, BASE_HEIGHT);
+    assertEqual(layout.scale, 1);
+  });
+
+  test('widens the logical width on landscape screens', () => {
+    const layout = computeLayout(1600, 900);
+    assertEqual(layout.width, MAX_WIDTH);
+    assertEqual(layout.height, BASE_HEIGHT);
+    assertTrue(layout.cssWidth <= 1600 && layout.cssHeight <= 900);
+  });
+
+  test('narrows to the minimum width on tall phones', () => {
+    const layout = computeLayout(360, 900);
+    assertEqual(layout.width, MIN_WIDTH);
+    assertEqual(layout.cssWidth, 360);
+  });
+
+  test('scales down to fit small windows', () => {
+    const layout = computeLayout(300, 450);
+    assertEqual(layout.width, 600);
+    assertEqual(layout.scale, 0.5);
+    assertEqual(layout.cssHeight, 450);
+  });
+});
+
+describe('Simulation - Resize', () => {
+  test('recenters the bird before play', () => {
+    const sim = new Simulation({ width: 600, height: 900 });
+    sim.resize(1000, 800);
+    assertEqual(sim.width, 1000);
+    assertEqual(sim.bird.y, 400);
+  });
+
+  test('scales clouds with the width', () => {
+    const sim = new Simulation({ width: 600, seed: 1 });
+    const x = sim.clouds[0].x;
+    sim.resize(1200, 900);
+    assertEqual(sim.clouds[0].x, x * 2);
+  });
+
+  test('keeps the run deterministic until the next start', () => {
+    const sim = new Simulation({ width: 600, seed: 3 });
+    sim.start();
+    sim.jump();
+    sim.resize(1000, 900);
+    assertEqual(sim.pipes.canvasWidth, 600);
+    sim.gameOver();
+    sim.start();
+    assertEqual(sim.pipes.canvasWidth, 1000);
+  });
+
+  test('replays use the recorded width', () => {
+    const sim = new Simulation({ width: 800, seed: 4 });
+    sim.start();
+    sim.jump();
+    for (let i = 0; i < 30; i++) sim.step();
+    sim.gameOver();
+    const replay = sim.getLastReplay();
+    assertEqual(replay.mode.width, 800);
+
+    const other = new Simulation({ width: 500 });
+    other.playReplay(replay);
+    assertEqual(other.pipes.canvasWidth, 800);
+  });
+});
+
+// ========== LIVES TESTS ==========
+
+describe('Simulation - Lives', () => {
+  function startPlaying(options) {
+    const sim = new Simulation({ seed: 5, ...options });
+    sim.start();
+    sim.jump();
+    return sim;
+  }
+
+  test('the lives option is clamped like setLives', () => {
+    assertEqual(new Simulation({ lives: -2 }).getMaxLives(), 1);
+    assertEqual(new Simulation({ lives: 2.7 }).getMaxLives(), 2);
+  });
+
+  test('classic mode ends on the first hit', () => {
+    const sim = startPlaying();
+    sim.bird.y = sim.height;
+    sim.step();
+    assertEqual(sim.getState(), 'gameover');
+  });
+
+  test('a hit costs a life and respawns the bird', () => {
+    const sim = startPlaying({ lives: 3 });
+    sim.bird.y = sim.height;
+    sim.step();
+    assertEqual(sim.getState(), 'playing');
+    assertEqual(sim.getLives(), 2);
+    assertTrue(sim.isInvulnerable());
+    assertEqual(sim.bird.velocity, 0);
+  });
+
+  test('respawns in the middle of the next gap', () => {
+    const sim = startPlaying({ lives: 2 });
+    while (sim.pipes.pipes.length === 0) {
+      if (sim.bird.velocity > 0 && sim.bird.y > 400) sim.jump();
+      sim.step();
+    }
+    const pipe = sim.pipes.pipes[0];
+    sim.bird.y = sim.height;
+    sim.step();
+    assertEqual(sim.bird.y, (pipe.gapTop + pipe.gapBottom) / 2);
+  });
+
+  test('invulnerable birds survive the ground', () => {
+    const sim = startPlaying({ lives: 2 });
+    sim.bird.y = sim.height;
+    sim.step();
+    for (let i = 0; i < 60; i++) sim.step();
+    assertEqual(sim.getState(), 'playing');
+    assertEqual(sim.getLives(), 1);
+    assertTrue(sim.bird.y <= sim.height - 80 - sim.bird.radius);
+  });
+
+  test('game over once all lives are gone', () => {
+    const sim = startPlaying({ lives: 2 });
+    const hits = [];
+    sim.on('hit', e => hits.push(e.lives));
+    sim.bird.y = sim.height;
+    sim.step();
+    while (sim.isInvulnerable()) sim.step();
+    sim.bird.y = sim.height;
+    sim.step();
+    assertEqual(hits.join(), '1,0');
+    assertEqual(sim.getState(), 'gameover');
+  });
+
+  test('lives reset each run', () => {
+    const sim = startPlaying({ lives: 3, clock: () => 1e9 });
+    sim.bird.y = sim.height;
+    sim.step();
+    sim.gameOver();
+    sim.start();
+    assertEqual(sim.getLives(), 3);
+  });
+
+  test('replays play back with their recorded lives', () => {
+    const sim = startPlaying({ lives: 2 });
+    sim.bird.y = sim.height;
+    sim.step();
+    for (let i = 0; i < 20; i++) sim.step();
+    sim.gameOver();
+    const replay = sim.getLastReplay();
+    assertEqual(replay.mode.lives, 2);
+
+    const viewer = new Simulation();
+    viewer.playReplay(replay);
+    assertEqual(viewer.getLives(), 2);
+  });
+});
+
+// ========== PRACTICE TESTS ==========
+
+describe('RewindBuffer', () => {
+  test('returns the latest snapshot far enough back', () => {
+    const buffer = new RewindBuffer(30, 10);
+    for (let tick = 0; tick <= 300; tick += 30) buffer.push({ tick });
+    assertEqual(buffer.rewind(300, 180).tick, 120);
+    assertEqual(buffer.snapshots.length, 4); // Newer snapshots dropped
+  });
+
+  test('keeps only the most recent snapshots', () => {
+    const buffer = new RewindBuffer(30, 3);
+    for (let tick = 0; tick <= 300; tick += 30) buffer.push({ tick });
+    assertEqual(buffer.snapshots[0].tick, 240);
+    assertEqual(buffer.rewind(300, 1000).tick, 240); // Oldest it has
+  });
+});
+
+describe('Simulation - Practice', () => {
+  function startPractice() {
+    const sim = new Simulation({ seed: 6, practice: true });
+    sim.start();
+    sim.jump();
+    return sim;
+  }
+
+  test('hits are logged, not fatal', () => {
+    const sim = startPractice();
+    const hits = [];
+    sim.on('hit', e => hits.push(e));
+    for (let i = 0; i < 300; i++) sim.step(); // Fall onto the ground
+    assertEqual(sim.getState(), 'playing');
+    assertEqual(hits.length, 1); // Resting on the ground is one hit
+    assertTrue(hits[0].practice);
+    assertEqual(sim.getPracticeLog()[0].cause, 'ground');
+  });
+
+  test('flying through a pipe is logged', () => {
+    const sim = startPractice();
+    while (sim.pipes.pipes.length === 0) sim.step();
+    const pipe = sim.pipes.pipes[0];
+    pipe.gapTop = 0;
+    pipe.gapBottom = 1; // Nowhere to go but through
+    while (!pipe.scored) {
+      sim.bird.y = 400; // Hover clear of the ground
+      sim.bird.velocity = 0;
+      sim.step();
+    }
+    assertTrue(sim.getPracticeLog().some(hit => hit.cause === 'pipe'));
+    assertEqual(sim.getScore(), 1);
+  });
+
+  test('rewind rolls the bird and pipes back', () => {
+    const sim = startPractice();
+    for (let i = 0; i < 300; i++) sim.step();
+    const snapshot = sim.captureSnapshot();
+    for (let i = 0; i < 200; i++) sim.step();
+    assertTrue(sim.rewind());
+    assertEqual(sim.tick, snapshot.tick);
+    assertEqual(sim.bird.y, snapshot.bird.y);
+    assertEqual(sim.pipes.pipes.length, snapshot.pipes.length);
+    assertEqual(sim.pipes.pipes[0].x, snapshot.pipes[0].x);
+  });
+
+  test('rewound runs play out the same way again', () => {
+    const sim = startPractice();
+    for (let i = 0; i < 300; i++) sim.step();
+    const snapshot = sim.captureSnapshot();
+    for (let i = 0; i < 200; i++) sim.step();
+    const gaps = sim.pipes.pipes.map(pipe => pipe.gapTop).join();
+    sim.rewind();
+    assertEqual(sim.tick, snapshot.tick);
+    for (let i = 0; i < 200; i++) sim.step();
+    assertEqual(sim.pipes.pipes.map(pipe => pipe.gapTop).join(), gaps);
+  });
+
+  test('rewinding restores into pooled pipe objects', () => {
+    const sim = startPractice();
+    for (let i = 0; i < 300; i++) sim.step();
+    for (let i = 0; i < 200; i++) sim.step();
+    const seen = new Set([...sim.pipes.pipes, ...sim.pipes.pipePool]);
+    assertTrue(sim.rewind());
+    assertTrue(sim.pipes.pipes.every(pipe => seen.has(pipe)));
+  });
+
+  test('rewind does nothing outside practice', () => {
+    const sim = new Simulation({ seed: 6 });
+    sim.start();
+    sim.jump();
+    for (let i = 0; i < 10; i++) sim.step();
+    assertFalse(sim.rewind());
+  });
+
+  test('practice runs are not scored or recorded', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ seed: 6, practice: true, storage });
+    sim.start();
+    sim.jump();
+    sim.score = 30;
+    assertTrue(sim.quit());
+    assertEqual(sim.getState(), 'gameover');
+    assertEqual(sim.getHighScore(), 0);
+    assertEqual(sim.getLastReplay(), null);
+  });
+
+  test('toggling practice applies from the next run', () => {
+    const sim = new Simulation({ clock: () => 1e9 });
+    sim.start();
+    sim.setPractice(true);
+    assertFalse(sim.isPracticing());
+    sim.quit();
+    sim.start();
+    assertTrue(sim.isPracticing());
+  });
+});
+
+// ========== GHOST TESTS ==========
+
+describe('Ghost', () => {
+  test('records one frame per tick', () => {
+    const recorder = new GhostRecorder(1, 'normal', 600);
+    const bird = new Bird(80, 100);
+    recorder.record(bird);
+    bird.y = 110.04;
+    recorder.record(bird);
+    recorder.recordScore(1);
+    const ghost = new Ghost(recorder.finish(1));
+    assertEqual(ghost.data.ticks, 1);
+    assertEqual(ghost.frameAt(1).y, 110);
+    assertEqual(ghost.frameAt(2), null);
+    assertEqual(ghost.scoreAt(0), 0);
+    assertEqual(ghost.scoreAt(5), 1);
+  });
+
+  test('frameAt can fill in a reused pose', () => {
+    const recorder = new GhostRecorder(1, 'normal', 600);
+    recorder.record(new Bird(80, 100));
+    recorder.record(new Bird(80, 120));
+    const ghost = new Ghost(recorder.finish(0));
+    const pose = { y: 0, rotation: 0 };
+    assertTrue(ghost.frameAt(1, pose) === pose);
+    assertEqual(pose.y, 120);
+    assertTrue(ghost.frameAt(0, pose) === pose);
+    assertEqual(pose.y, 100);
+    assertEqual(ghost.frameAt(2, pose), null);
+  });
+
+  test('rejects malformed ghosts', () => {
+    let threw = false;
+    try {
+      new Ghost({ version: 1, frames: [] });
+    } catch (e) {
+      threw = true;
+    }
+    assertTrue(threw);
+  });
+});
+
+describe('Simulation - Ghost Racing', () => {
+  function playRun(sim, ticks) {
+    sim.start();
+    sim.jump();
+    for (let i = 0; i < ticks && sim.getState() === 'playing'; i++) {
+      const { bird, nextPipe, groundY } = sim.observe();
+      const target = nextPipe ? nextPipe.gapBottom - 40 : groundY / 2;
+      if (bird.y > target && bird.velocity > 0) sim.jump();
+      sim.step();
+    }
+    if (sim.getState() === 'playing') sim.quit();
+  }
+
+  test('saves the best run on a pinned seed', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ seed: 7, storage, clock: () => 1e9 });
+    playRun(sim, 1500);
+    const saved = JSON.parse(storage.getItem('fappyGhost:normal:7'));
+    assertEqual(saved.score, sim.getScore());
+    assertEqual(saved.ticks, sim.tick);
+  });
+
+  test('random seeds get no ghost', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ storage, clock: () => 1e9 });
+    playRun(sim, 100);
+    assertEqual(Object.keys(storage.data).filter(key => key.startsWith('fappyGhost')).length, 0);
+  });
+
+  test('later runs race the ghost tick for tick', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ seed: 7, storage, clock: () => 1e9 });
+    playRun(sim, 1500);
+    const best = sim.getScore();
+
+    sim.start();
+    assertTrue(sim.getGhost() !== null);
+    assertEqual(sim.getGhost().score, best);
+    sim.jump();
+    // Same pipes, so the ghost's recorded flight matches the bot's new one
+    for (let i = 0; i < 100; i++) {
+      const { bird, nextPipe, groundY } = sim.observe();
+      const target = nextPipe ? nextPipe.gapBottom - 40 : groundY / 2;
+      if (bird.y > target && bird.velocity > 0) sim.jump();
+      sim.step();
+    }
+    assertEqual(sim.getGhost().frameAt(sim.tick).y, Math.round(sim.bird.y * 10) / 10);
+    assertEqual(sim.getGhostDelta(), 0);
+  });
+
+  test('delta goes positive once past the ghost', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ seed: 7, storage, clock: () => 1e9 });
+    sim.start();
+    sim.jump();
+    sim.quit(); // Best of 0, crashed at tick 0
+    sim.start();
+    sim.jump();
+    sim.score = 2;
+    sim.tick = 100;
+    assertEqual(sim.getGhostDelta(), 2);
+  });
+
+  test('a worse run keeps the old ghost', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ seed: 7, storage, clock: () => 1e9 });
+    playRun(sim, 1500);
+    const best = sim.getScore();
+    assertTrue(best > 0, `bot scored ${best}`);
+    sim.start();
+    sim.jump();
+    sim.quit();
+    assertEqual(JSON.parse(storage.getItem('fappyGhost:normal:7')).score, best);
+  });
+
+  function fakeGhost(seed, score) {
+    const recorder = new GhostRecorder(seed, 'normal', 600);
+    recorder.record({ y: 100, rotation: 0 });
+    return recorder.finish(score);
+  }
+
+  function ghostCount(storage) {
+    return Object.keys(storage.data).filter(key => key.startsWith('fappyGhost:')).length;
+  }
+
+  test('keeps only the most recently saved ghosts', () => {
+    const storage = new MemoryStorage();
+    const sim = new Simulation({ storage });
+    for (let seed = 1; seed <= MAX_GHOSTS + 3; seed++) {
+      sim.saveGhost(fakeGhost(seed, 1));
+    }
+    assertEqual(ghostCount(storage), MAX_GHOSTS);
+    assertEqual(storage.getItem('fappyGhost:normal:3'), null);
+    assertTrue(storage.getItem('fappyGhost:normal:4') !== null);
+    assertTrue(storage.getItem(`fappyGhost:normal:${MAX_GHOSTS + 3}`) !== null);
+  });
+
+  test('a full store evicts old ghosts instead of throwing', () => {
+    const storage = new MemoryStorage();
+    const setItem = storage.setItem.bind(storage);
+    // Room for three ghosts and the key list
+    storage.setItem = (key, value) => {
+      if (key.startsWith('fappyGhost:') && storage.getItem(key) === null && ghostCount(storage) >= 3) {
+        throw new Error('QuotaExceededError');
+      }
+      setItem(key, value);
+    };
+    const sim = new Simulation({ storage });
+    for (let seed = 1; seed <= 5; seed++) {
+      sim.saveGhost(fakeGhost(seed, 1));
+    }
+    assertEqual(ghostCount(storage), 3);
+    assertEqual(storage.getItem('fappyGhost:normal:2'), null);
+    assertTrue(storage.getItem('fappyGhost:normal:5') !== null);
+  });
+
+  test('a store with no room for a ghost loses it quietly', () => {
+    const storage = new MemoryStorage();
+    const setItem = storage.setItem.bind(storage);
+    storage.setItem = (key, value) => {
+      if (key.startsWith('fappyGhost')) throw new Error('QuotaExceededError');
+      setItem(key, value);
+    };
+    const sim = new Simulation({ seed: 7, storage, clock: () => 1e9 });
+    playRun(sim, 200);
+    assertEqual(sim.getState(), 'gameover');
+  });
+});
+
+// ========== CO-OP TESTS ==========
+
+describe('Simulation - Co-op', () => {
+  function startCoop(options) {
+    const sim = new Simulation({ seed: 8, players: 2, ...options });
+    sim.start();
+    sim.jump(0);
+    return sim;
+  }
+
+  test('two players fly two birds', () => {
+    const sim = startCoop();
+    assertTrue(sim.isCoop());
+    assertEqual(sim.getPlayers().length, 2);
+    sim.jump(1);
+    assertEqual(sim.partnerBird.velocity, sim.bird.velocity);
+    sim.step();
+    assertTrue(sim.partnerBird.x !== sim.bird.x);
+  });
+
+  test('a downed bird leaves its partner flying', () => {
+    const sim = startCoop();
+    const hits = [];
+    sim.on('hit', e => hits.push(e));
+    sim.partnerBird.y = sim.height;
+    sim.step();
+    assertEqual(sim.getState(), 'playing');
+    assertFalse(sim.getPlayers()[1].alive);
+    assertEqual(hits[0].player, 1);
+    assertEqual(hits[0].playersLeft, 1);
+    assertFalse(sim.jump(1)); // Out of the run
+  });
+
+  test('the run ends when both birds are down', () => {
+    const sim = startCoop();
+    sim.partnerBird.y = sim.height;
+    sim.step();
+    sim.bird.y = sim.height;
+    sim.step();
+    assertEqual(sim.getState(), 'gameover');
+  });
+
+  test('each bird scores its own pipes', () => {
+    const sim = startCoop();
+    // Keep the first bird hovering; let the second drop out
+    sim.partnerBird.y = sim.height;
+    while (sim.getPlayers()[0].score === 0 && sim.tick < 2000) {
+      const pipe = sim.getNextPipe();
+      sim.bird.y = pipe ? (pipe.gapTop + pipe.gapBottom) / 2 : 400;
+      sim.bird.velocity = 0;
+      sim.step();
+    }
+    const [one, two] = sim.getPlayers();
+    assertEqual(one.score, 1);
+    assertEqual(two.score, 0);
+    assertEqual(sim.getScore(), 1);
+  });
+
+  test('co-op runs are not recorded', () => {
+    const sim = startCoop({ clock: () => 1e9 });
+    sim.quit();
+    assertEqual(sim.getLastReplay(), null);
+  });
+
+  test('switching back to one player', () => {
+    const sim = startCoop({ clock: () => 1e9 });
+    sim.quit();
+    sim.setPlayers(1);
+    sim.start();
+    assertFalse(sim.isCoop());
+    assertEqual(sim.getPlayers().length, 0);
+  });
+});
+
+// ========== POWER-UP TESTS ==========
+
+describe('ActiveEffects', () => {
+  test('timed effects run out', () => {
+    const effects = new ActiveEffects();
+    effects.activate('slowmo');
+    for (let i = 1; i < POWER_UPS.slowmo.duration; i++) effects.tick();
+    assertTrue(effects.isActive('slowmo'));
+    assertEqual(effects.tick().join(), 'slowmo');
+    assertFalse(effects.isActive('slowmo'));
+  });
+
+  test('shield lasts until consumed', () => {
+    const effects = new ActiveEffects();
+    effects.activate('shield');
+    for (let i = 0; i < 10000; i++) effects.tick();
+    assertTrue(effects.consume('shield'));
+    assertFalse(effects.consume('shield'));
+  });
+
+  test('hasAny tracks whether anything is running', () => {
+    const effects = new ActiveEffects();
+    assertFalse(effects.hasAny());
+    effects.activate('slowmo');
+    assertTrue(effects.hasAny());
+    for (let i = 0; i < POWER_UPS.slowmo.duration; i++) effects.tick();
+    assertFalse(effects.hasAny());
+  });
+});
+
+describe('PipeManager - Pickups', () => {
+  test('spawns pickups in the gap when enabled', () => {
+    const pm = new PipeManager(400, 600, 80, new SeededRandom(1), new SeededRandom(2));
+    pm.pickupChance = 1;
+    pm.spawnPipe(200);
+    const pipe = pm.pipes[0];
+    assertEqual(pm.pickups.length, 1);
+    assertEqual(pm.pickups[0].y, (pipe.gapTop + pipe.gapBottom) / 2);
+  });
+
+  test('pickups do not change the pipe layout', () => {
+    const plain = new PipeManager(400, 600, 80, new SeededRandom(3), new SeededRandom(4));
+    const withPickups = new PipeManager(400, 600, 80, new SeededRandom(3), new SeededRandom(4));
+    withPickups.pickupChance = 1;
+    for (let i = 0; i < 5; i++) {
+      plain.spawnPipe(200);
+      withPickups.spawnPipe(200);
+    }
+    assertEqual(plain.pipes.map(p => p.gapTop).join(), withPickups.pipes.map(p => p.gapTop).join());
+  });
+
+  test('magnet pulls pickups in', () => {
+    const pm = new PipeManager(400, 600, 80);
+    pm.spawnPickup(200, 300);
+    const bird = new Bird(80, 300);
+    pm.pullPickups(bird);
+    assertTrue(pm.pickups[0].x < 200);
+  });
+
+  test('collecting removes the pickup', () => {
+    const pm = new PipeManager(400, 600, 80);
+    pm.spawnPickup(85, 300);
+    const type = pm.collectPickup(new Bird(80, 300));
+    assertTrue(type in POWER_UPS);
+    assertEqual(pm.pickups.length, 0);
+  });
+});
+
+describe('Simulation - Power-ups', () => {
+  function startWith(type) {
+    const sim = new Simulation({ seed: 9 });
+    sim.start();
+    sim.jump();
+    sim.pipes.pickups.push({ type, x: sim.bird.x, y: sim.bird.y, prevX: sim.bird.x, prevY: sim.bird.y });
+    return sim;
+  }
+
+  test('picking one up starts its effect', () => {
+    const sim = startWith('magnet');
+    const events = [];
+    sim.on('powerUp', e => events.push(e.type));
+    sim.step();
+    assertEqual(events.join(), 'magnet');
+    assertTrue(sim.getEffects().isActive('magnet'));
+  });
+
+  test('shield absorbs one hit', () => {
+    const sim = startWith('shield');
+    sim.step();
+    sim.bird.y = sim.height;
+    sim.step();
+    assertEqual(sim.getState(), 'playing');
+    assertFalse(sim.getEffects().isActive('shield'));
+    while (sim.isInvulnerable()) sim.step();
+    sim.bird.y = sim.height;
+    sim.step();
+    assertEqual(sim.getState(), 'gameover');
+  });
+
+  test('slow-mo slows the world', () => {
+    const sim = startWith('slowmo');
+    sim.step();
+    sim.pipes.spawnPipe(sim.gap);
+    const pipe = sim.pipes.pipes[sim.pipes.pipes.length - 1];
+    const x = pipe.x;
+    sim.step();
+    assertEqual(x - pipe.x, 2.5 * sim.speed * SLOWMO_FACTOR);
+  });
+
+  test('shrink makes the bird smaller until it runs out', () => {
+    const sim = startWith('shrink');
+    const radius = sim.bird.radius;
+    sim.step();
+    assertEqual(sim.bird.radius, radius * SHRINK_FACTOR);
+    for (let i = 0; i < POWER_UPS.shrink.duration; i++) {
+      sim.bird.y = 400;
+      sim.bird.velocity = 0;
+      sim.step();
+    }
+    assertEqual(sim.bird.radius, radius);
+  });
+
+  test('replays without power-ups play back without them', () => {
+    const sim = new Simulation({ seed: 9, powerUps: false, clock: () => 1e9 });
+    sim.start();
+    sim.jump();
+    sim.quit();
+    assertFalse(sim.getLastReplay().mode.powerUps);
+    const viewer = new Simulation();
+    viewer.playReplay(sim.getLastReplay());
+    assertEqual(viewer.pipes.pickupChance, 0);
+  });
+});
+
+// ========== PIPE VARIANT TESTS ==========
+
+describe('PipeManager - Variants', () => {
+  // Spawn until the RNG hands out the variant we want
+  function spawnVariant(variant, score = 100) {
+    const pm = new PipeManager(400, 900, 80, new SeededRandom(11));
+    pm.variantsEnabled = true;
+    for (let i = 0; i < 200; i++) {
+      pm.pipes = [];
+      pm.spawnPipe(200, score);
+      if (pm.pipes[0].variant === variant) return pm;
+    }
+    throw new Error(`no ${variant} pipe spawned`);
+  }
+
+  test('only static pipes before variants unlock', () => {
+    const pm = new PipeManager(400, 900, 80, new SeededRandom(12));
+    pm.variantsEnabled = true;
+    for (let i = 0; i < 50; i++) pm.spawnPipe(200, PIPE_VARIANTS.moving - 1);
+    assertTrue(pm.pipes.every(pipe => pipe.variant === 'static'));
+  });
+
+  test('disabled variants keep the original layout', () => {
+    const plain = new PipeManager(400, 900, 80, new SeededRandom(13));
+    const off = new PipeManager(400, 900, 80, new SeededRandom(13));
+    for (let i = 0; i < 10; i++) {
+      plain.spawnPipe(200);
+      off.spawnPipe(200, 100);
+    }
+    assertEqual(plain.pipes.map(p => p.gapTop).join(), off.pipes.map(p => p.gapTop).join());
+  });
+
+  test('moving gaps drift but keep their size', () => {
+    const pm = spawnVariant('moving');
+    const pipe = pm.pipes[0];
+    const gap = pipe.gapBottom - pipe.gapTop;
+    const start = pipe.gapTop;
+    for (let i = 0; i < 30; i++) pm.update(1, 200, 10000);
+    assertTrue(Math.abs(pipe.gapTop - start) > 1);
+    assertTrue(Math.abs(pipe.gapBottom - pipe.gapTop - gap) < 1e-9);
+    assertTrue(pipe.gapTop >= 80);
+  });
+
+  test('closing gaps narrow and open again', () => {
+    const pm = spawnVariant('closing');
+    const pipe = pm.pipes[0];
+    const open = pipe.gapBottom - pipe.gapTop;
+    let narrowest = open;
+    for (let i = 0; i < 220; i++) {
+      pm.update(1, 200, 10000);
+      narrowest = Math.min(narrowest, pipe.gapBottom - pipe.gapTop);
+    }
+    assertTrue(narrowest < open * 0.7);
+    assertTrue(pipe.gapBottom - pipe.gapTop > narrowest);
+  });
+
+  test('double pipes come in staggered pairs', () => {
+    const pm = spawnVariant('double');
+    assertEqual(pm.pipes.length, 2);
+    assertEqual(pm.pipes[1].x - pm.pipes[0].x, PIPE_WIDTH + DOUBLE_SPACING);
+  });
+
+  test('collision follows a moving gap', () => {
+    const pm = spawnVariant('moving');
+    const pipe = pm.pipes[0];
+    pipe.x = 60;
+    const bird = new Bird(80, 0);
+    for (let i = 0; i < 300; i++) {
+      pm.updateGap(pipe, 1);
+      bird.y = (pipe.gapTop + pipe.gapBottom) / 2;
+      assertFalse(pm.checkCollision(bird));
+    }
+    bird.y = pipe.gapTop - CAP_HEIGHT / 2;
+    assertTrue(pm.checkCollision(bird));
+  });
+});
+
+describe('Shop', () => {
+  test('starts with the free items picked', () => {
+    const shop = new Shop(new MemoryStorage());
+    assertEqual(shop.getCoins(), 0);
+    assertEqual(shop.getSelected('skin').id, 'classic');
+    assertEqual(shop.getSelected('background').id, 'day');
+  });
+
+  test('buying spends coins and unlocks the item', () => {
+    const shop = new Shop(new MemoryStorage());
+    shop.addCoins(30);
+    assertTrue(shop.buy('skin', 'bluejay'));
+    assertEqual(shop.getCoins(), 5);
+    assertTrue(shop.isOwned('skin', 'bluejay'));
+    assertFalse(shop.buy('skin', 'bluejay'));
+  });
+
+  test('can not buy without enough coins', () => {
+    const shop = new Shop(new MemoryStorage());
+    shop.addCoins(10);
+    assertFalse(shop.buy('skin', 'cardinal'));
+    assertEqual(shop.getCoins(), 10);
+    assertFalse(shop.select('skin', 'cardinal'));
+    assertEqual(shop.getSelected('skin').id, 'classic');
+  });
+
+  test('coins, unlocks and picks persist', () => {
+    const storage = new MemoryStorage();
+    const shop = new Shop(storage);
+    shop.addCoins(100);
+    shop.buy('background', 'sunset');
+    shop.select('background', 'sunset');
+
+    const reloaded = new Shop(storage);
+    assertEqual(reloaded.getCoins(), 60);
+    assertTrue(reloaded.isOwned('background', 'sunset'));
+    assertEqual(reloaded.getSelected('background').id, 'sunset');
+  });
+});
+
+describe('PipeManager - Coins', () => {
+  function twoPipes() {
+    const pm = new PipeManager(400, 600, 50, new SeededRandom(3));
+    pm.coinsEnabled = true;
+    pm.spawnPipe(150);
+    pm.pipes[0].x = 100;
+    pm.spawnPipe(150);
+    return pm;
+  }
+
+  test('a row of coins leads from one gap to the next', () => {
+    const pm = twoPipes();
+    const [from, to] = pm.pipes;
+    assertEqual(pm.coins.length, COINS_PER_GAP);
+    for (const coin of pm.coins) {
+      assertTrue(coin.x > from.x + PIPE_WIDTH && coin.x < to.x);
+      const t = (coin.x - from.x - PIPE_WIDTH) / (to.x - from.x - PIPE_WIDTH);
+      const fromY = (from.gapTop + from.gapBottom) / 2;
+      const toY = (to.gapTop + to.gapBottom) / 2;
+      assertTrue(Math.abs(coin.y - (fromY + (toY - fromY) * t)) < 0.001);
+    }
+  });
+
+  test('no coins when disabled', () => {
+    const pm = new PipeManager(400, 600, 50, new SeededRandom(3));
+    pm.spawnPipe(150);
+    pm.spawnPipe(150);
+    assertEqual(pm.coins.length, 0);
+  });
+
+  test('flying through a coin collects it', () => {
+    const pm = twoPipes();
+    const coin = pm.coins[0];
+    const bird = new Bird(coin.x, coin.y);
+    assertEqual(pm.collectCoins(bird), 1);
+    assertEqual(pm.coins.length, COINS_PER_GAP - 1);
+    assertEqual(pm.collectCoins(bird), 0);
+  });
+
+  test('coins do not change the pipe layout', () => {
+    const plain = new PipeManager(400, 600, 50, new SeededRandom(3));
+    const coined = twoPipes();
+    plain.spawnPipe(150);
+    plain.spawnPipe(150);
+    assertEqual(plain.pipes[1].gapTop, coined.pipes[1].gapTop);
+  });
+});
+
+describe('Simulation - Coins', () => {
+  function startWithCoin(options = {}) {
+    const sim = new Simulation({ seed: 9, clock: () => 1e9, ...options });
+    sim.start();
+    sim.jump();
+    sim.pipes.coins.push({ x: sim.bird.x, y: sim.bird.y, prevX: sim.bird.x, prevY: sim.bird.y });
+    return sim;
+  }
+
+  test('collecting a coin counts it for the run', () => {
+    const sim = startWithCoin();
+    const events = [];
+    sim.on('coin', e => events.push(e.coins));
+    sim.step();
+    assertEqual(events.join(), '1');
+    assertEqual(sim.getRunCoins(), 1);
+  });
+
+  test('coins are banked when the run ends', () => {
+    const storage = new MemoryStorage();
+    const sim = startWithCoin({ storage });
+    sim.step();
+    sim.quit();
+    assertEqual(sim.getCoins(), 1);
+    assertEqual(new Shop(storage).getCoins(), 1);
+  });
+
+  test('practice runs and replays do not pay out', () => {
+    const sim = startWithCoin({ practice: true });
+    sim.step();
+    sim.quit();
+    assertEqual(sim.getCoins(), 0);
+
+    const real = startWithCoin();
+    real.step();
+    real.quit();
+    real.playReplay(real.getLastReplay());
+    while (real.getState() === 'playing') real.step();
+    assertEqual(real.getCoins(), 1);
+  });
+
+  test('rewinding restores the coins of the run', () => {
+    const sim = new Simulation({ seed: 9, practice: true });
+    sim.start();
+    sim.jump();
+    const snapshot = sim.captureSnapshot();
+    sim.pipes.coins.push({ x: sim.bird.x, y: sim.bird.y, prevX: sim.bird.x, prevY: sim.bird.y });
+    sim.step();
+    assertEqual(sim.getRunCoins(), 1);
+    sim.restoreSnapshot(snapshot);
+    assertEqual(sim.getRunCoins(), 0);
+  });
+
+  test('a finished run can go back to the menu', () => {
+    const sim = startWithCoin();
+    assertFalse(sim.toMenu());
+    sim.step();
+    sim.quit();
+    assertTrue(sim.toMenu());
+    assertEqual(sim.getState(), 'menu');
+    assertEqual(sim.getRunCoins(), 0);
+    assertEqual(sim.getCoins(), 1);
+    assertEqual(sim.pipes.pipes.length, 0);
+  });
+});
+
+describe('Biomes', () => {
+  test('score moves through dawn, day, dusk and night, then around again', () => {
+    assertEqual(biomeTarget(0), 0);
+    assertEqual(biomeTarget(BIOME_LENGTH), 1);
+    assertEqual(BIOMES[biomeTarget(BIOME_LENGTH * 3) % BIOMES.length].id, 'night');
+    assertEqual(getBiomePalette(4).sky.join(), BIOMES[0].sky.join());
+  });
+
+  test('colors blend channel by channel', () => {
+    assertEqual(mixColor('#000000', '#FFFFFF', 0.5), '#808080');
+    assertEqual(mixColor('#FF0000', '#0000FF', 0), '#FF0000');
+    assertEqual(mixColor('#FF0000', '#0000FF', 1), '#0000FF');
+  });
+
+  test('palettes blend between neighbouring biomes', () => {
+    const palette = getBiomePalette(2.5);
+    assertTrue(Math.abs(palette.night - (BIOMES[2].night + BIOMES[3].night) / 2) < 1e-9);
+    assertEqual(palette.pipe[0], mixColor(BIOMES[2].pipe[0], BIOMES[3].pipe[0], 0.5));
+    assertEqual(palette.ground.dirt, mixColor(BIOMES[2].ground.dirt, BIOMES[3].ground.dirt, 0.5));
+  });
+
+  test('overrides replace a biome\'s colors', () => {
+    const sky = ['#111111', '#222222', '#333333'];
+    assertEqual(getBiomePalette(1, { day: { sky } }).sky.join(), sky.join());
+    assertEqual(getBiomePalette(0, { day: { sky } }).sky.join(), BIOMES[0].sky.join());
+  });
+});
+
+describe('Simulation - Day/Night', () => {
+  test('the background eases into the next biome as the score rises', () => {
+    const sim = new Simulation({ seed: 4 });
+    sim.start();
+    sim.jump();
+    sim.score = BIOME_LENGTH;
+    sim.bird.y = 300;
+    sim.step();
+    assertTrue(sim.getBiomeProgress() > 0 && sim.getBiomeProgress() < 1);
+    for (let i = 0; i < BIOME_BLEND_TICKS; i++) {
+      sim.bird.y = 300;
+      sim.bird.velocity = 0;
+      sim.pipes.pipes = [];
+      sim.step();
+    }
+    assertEqual(sim.getBiomeProgress(), 1);
+  });
+
+  test('each run starts at dawn', () => {
+    const sim = new Simulation({ seed: 4 });
+    sim.biomeProgress = 3;
+    sim.start();
+    assertEqual(sim.getBiomeProgress(), 0);
+  });
+
+  test('pipes take their colors from the biome', () => {
+    const game = new Game(mockCanvas);
+    game.biomeProgress = 3;
+    game.updatePalette();
+    assertEqual(game.pipes.colors.join(), BIOMES[3].pipe.join());
+  });
+
+  test('a bought background is the sky a run starts under', () => {
+    const storage = new MemoryStorage();
+    const shop = new Shop(storage);
+    shop.addCoins(100);
+    shop.buy('background', 'sunset');
+    shop.select('background', 'sunset');
+
+    const game = new Game(mockCanvas, { storage });
+    game.start();
+    game.updatePalette();
+    assertEqual(game.getBiomeProgress(), 0);
+    assertEqual(game.palette.sky.join(), BACKGROUNDS.sunset.sky.join());
+    assertEqual(game.palette.clouds, BACKGROUNDS.sunset.clouds);
+  });
+
+  test('the free background keeps dawn', () => {
+    const game = new Game(mockCanvas);
+    assertEqual(game.palette.sky.join(), BIOMES[0].sky.join());
+  });
+});
+
+describe('ParticleSystem', () => {
+  test('bursts stop at the cap instead of growing the pool', () => {
+    const particles = new ParticleSystem(10);
+    particles.debris(0, 0, 'green', 8);
+    particles.feathers(0, 0, 'yellow', 8);
+    assertEqual(particles.count, 10);
+    assertEqual(particles.pool.length, 10);
+  });
+
+  test('particles die and their slots are reused', () => {
+    const particles = new ParticleSystem(10);
+    particles.popup(0, 0);
+    const slot = particles.pool[0];
+    particles.update(1000);
+    assertEqual(particles.count, 0);
+    particles.dust(0, 0, 1);
+    assertEqual(particles.pool[0], slot);
+    assertEqual(slot.kind, 'dust');
+  });
+
+  test('popups float upwards', () => {
+    const particles = new ParticleSystem(10);
+    particles.popup(50, 100);
+    particles.update(80);
+    assertTrue(particles.pool[0].y < 100);
+  });
+});
+
+describe('Game - Particles', () => {
+  test('flapping sheds feathers', () => {
+    const game = new Game(mockCanvas, { seed: 1 });
+    game.start();
+    game.jump();
+    assertTrue(game.particles.count > 0);
+    assertEqual(game.particles.pool[0].kind, 'feather');
+  });
+
+  test('scoring floats a +1', () => {
+    const game = new Game(mockCanvas, { seed: 1 });
+    game.emit('score', { score: 1 });
+    assertEqual(game.particles.pool[0].text, '+1');
+  });
+
+  test('the burst matches what was hit', () => {
+    const game = new Game(mockCanvas, { seed: 1 });
+    game.emit('hit', { score: 0, cause: 'ground', lives: 0 });
+    assertEqual(game.particles.pool[0].kind, 'dust');
+    game.particles.clear();
+    game.emit('hit', { score: 0, cause: 'pipe', lives: 0 });
+    assertEqual(game.particles.pool[0].kind, 'debris');
+  });
+
+  test('particles keep moving after game over and freeze while paused', () => {
+    const game = new Game(mockCanvas, { seed: 1 });
+    game.start();
+    game.jump();
+    game.quit();
+    const feather = game.particles.pool[0];
+    const x = feather.x;
+    game.update(16.67);
+    assertTrue(feather.x !== x);
+
+    game.start();
+    assertEqual(game.particles.count, 0);
+    game.jump();
+    game.pause();
+    const frozen = game.particles.pool[0].x;
+    game.update(16.67);
+    assertEqual(game.particles.pool[0].x, frozen);
+  });
+});
+
+describe('Game - Death Sequence', () => {
+  function crash(options = {}) {
+    const game = new Game(mockCanvas, { seed: 1, clock: () => 1e9, ...options });
+    game.start();
+    game.jump();
+    game.bird.y = 5;
+    game.update(FIXED_STEP);
+    return game;
+  }
+
+  test('a fatal crash starts the death sequence', () => {
+    const game = crash();
+    assertEqual(game.getState(), 'gameover');
+    assertTrue(game.isDying());
+    assertTrue(game.bird.dead);
+    assertTrue(game.flashTime > 0);
+  });
+
+  test('hit-stop holds the bird before it falls', () => {
+    const game = crash();
+    const y = game.bird.y;
+    // The frame of the crash is the first held one
+    for (let elapsed = FIXED_STEP; elapsed + FIXED_STEP <= HIT_STOP_MS; elapsed += FIXED_STEP) {
+      game.update(FIXED_STEP);
+    }
+    assertEqual(game.bird.y, y);
+    game.update(FIXED_STEP);
+    assertTrue(game.bird.y !== y);
+  });
+
+  test('the bird spins down to the ground, then deathEnd fires', () => {
+    const game = crash();
+    let ended = 0;
+    game.on('deathEnd', () => ended++);
+    const rotation = game.bird.rotation;
+    for (let i = 0; i < 600 && game.isDying(); i++) game.update(FIXED_STEP);
+    assertEqual(ended, 1);
+    assertTrue(game.bird.rotation > rotation + 90);
+    assertEqual(game.bird.y, game.height - GROUND_HEIGHT - game.bird.radius);
+  });
+
+  test('ground crashes still play for the minimum time', () => {
+    const game = new Game(mockCanvas, { seed: 1, clock: () => 1e9 });
+    game.start();
+    game.jump();
+    game.bird.y = game.height;
+    game.update(FIXED_STEP);
+    let elapsed = FIXED_STEP;
+    while (game.isDying()) {
+      game.update(FIXED_STEP);
+      elapsed += FIXED_STEP;
+    }
+    assertTrue(elapsed >= DEATH_MIN_MS);
+  });
+
+  test('no restart until the animation is over', () => {
+    const game = crash();
+    game.gameOverTime -= game.restartCooldown;
+    assertFalse(game.jump());
+    while (game.isDying()) game.update(FIXED_STEP);
+    assertTrue(game.jump());
+    assertEqual(game.getState(), 'ready');
+    assertFalse(game.bird.dead);
+  });
+
+  test('quitting skips the animation', () => {
+    const game = new Game(mockCanvas, { seed: 1, practice: true });
+    game.start();
+    game.jump();
+    game.quit();
+    assertFalse(game.isDying());
+  });
+});
+
+describe('Themes', () => {
+  test('unknown themes fall back to classic', () => {
+    assertEqual(resolveTheme('neon').id, 'neon');
+    assertEqual(resolveTheme('nope').id, 'classic');
+    assertEqual(resolveTheme(null).id, 'classic');
+  });
+
+  test('grayscale keeps brightness and drops hue', () => {
+    assertEqual(grayscale('#FFFFFF'), '#FFFFFF');
+    assertEqual(grayscale('#000000'), '#000000');
+    assertEqual(grayscale('#FF0000'), '#4C4C4C');
+  });
+
+  test('filters reach every color of a palette', () => {
+    const palette = filterPalette(getBiomePalette(1), grayscale);
+    assertEqual(palette.pipe[0], grayscale(BIOMES[1].pipe[0]));
+    assertEqual(palette.ground.grass[1], grayscale(BIOMES[1].ground.grass[1]));
+    assertEqual(palette.sky[2], grayscale(BIOMES[1].sky[2]));
+  });
+
+  test('pixel-art birds are drawn from blocks', () => {
+    const bird = new Bird(80, 300);
+    bird.theme = THEMES.pixel;
+    let blocks = 0;
+    const ctx = { ...mockCanvas.getContext(), fillRect: () => blocks++ };
+    bird.draw(ctx);
+    assertTrue(blocks > 50);
+  });
+});
+
+describe('Game - Themes', () => {
+  test('the chosen theme persists', () => {
+    const storage = new MemoryStorage();
+    const game = new Game(mockCanvas, { storage });
+    assertEqual(game.getTheme().id, 'classic');
+    game.setTheme('pixel');
+    assertEqual(new Game(mockCanvas, { storage }).getTheme().id, 'pixel');
+  });
+
+  test('birds and pipes draw with the theme', () => {
+    const game = new Game(mockCanvas);
+    game.setTheme('neon');
+    assertEqual(game.bird.theme.id, 'neon');
+    assertEqual(game.partnerBird.theme.id, 'neon');
+    assertEqual(game.pipes.theme.id, 'neon');
+  });
+
+  test('neon replaces the day/night palette', () => {
+    const game = new Game(mockCanvas, { theme: 'neon' });
+    game.biomeProgress = 3;
+    game.updatePalette();
+    assertEqual(game.palette.sky.join(), THEMES.neon.palette.sky.join());
+  });
+
+  test('a bought sky shows through the neon palette', () => {
+    const storage = new MemoryStorage();
+    const shop = new Shop(storage);
+    shop.addCoins(100);
+    shop.buy('background', 'sunset');
+    shop.select('background', 'sunset');
+
+    const game = new Game(mockCanvas, { storage, theme: 'neon' });
+    assertEqual(game.palette.sky.join(), BACKGROUNDS.sunset.sky.join());
+    assertEqual(game.palette.clouds, BACKGROUNDS.sunset.clouds);
+    assertEqual(game.palette.pipe.join(), THEMES.neon.palette.pipe.join());
+  });
+
+  test('monochrome grays out the bird and the scenery', () => {
+    const game = new Game(mockCanvas, { theme: 'mono' });
+    assertEqual(game.bird.bodyColor, grayscale('#FFD93D'));
+    assertEqual(game.pipes.colors[1], grayscale(BIOMES[0].pipe[1]));
+  });
+});
+
+// 2D context that accepts any call and counts them by name
+function countingContext() {
+  const calls = {};
+  return new Proxy({ calls }, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return (...args) => {
+        calls[name] = (calls[name] ?? 0) + 1;
+        return name === 'createLinearGradient' ? { addColorStop: () => {} } : undefined;
+      };
+    },
+    set(target, name, value) {
+      target[name] = value;
+      return true;
+    }
+  });
+}
+
+function fakeCanvasFactory() {
+  const made = [];
+  const create = (width, height) => {
+    const canvas = { width, height, context: countingContext() };
+    canvas.getContext = () => canvas.context;
+    made.push(canvas);
+    return canvas;
+  };
+  return { create, made };
+}
+
+describe('SpriteCache', () => {
+  test('draws a sprite once per key', () => {
+    const factory = fakeCanvasFactory();
+    const cache = new SpriteCache(factory.create);
+    let draws = 0;
+    const draw = () => draws++;
+    cache.get('pipe', ['a', 1], 10, 20, draw);
+    cache.get('pipe', ['a', 1], 10, 20, draw);
+    assertEqual(draws, 1);
+    cache.get('pipe', ['b', 1], 10, 20, draw);
+    assertEqual(draws, 2);
+    assertEqual(cache.builds, 2);
+  });
+
+  test('sprites are drawn at device resolution', () => {
+    const factory = fakeCanvasFactory();
+    const cache = new SpriteCache(factory.create);
+    cache.pixelRatio = 2;
+    const sprite = cache.get('cap', [], 10, 5, () => {});
+    assertEqual(factory.made[0].width, 20);
+    assertEqual(sprite.width, 10);
+    cache.pixelRatio = 3;
+    cache.get('cap', [], 10, 5, () => {});
+    assertEqual(cache.builds, 2);
+  });
+
+  test('a new key at the same size redraws the same canvas', () => {
+    const factory = fakeCanvasFactory();
+    const cache = new SpriteCache(factory.create);
+    const first = cache.get('pipe', ['a'], 10, 20, () => {});
+    const second = cache.get('pipe', ['b'], 10, 20, () => {});
+    assertEqual(factory.made.length, 1);
+    assertEqual(second.canvas, first.canvas);
+    assertEqual(factory.made[0].context.calls.clearRect, 2);
+    cache.get('pipe', ['c'], 10, 30, () => {});
+    assertEqual(factory.made.length, 2);
+  });
+
+  test('a key array refilled in place still invalidates', () => {
+    const cache = new SpriteCache(fakeCanvasFactory().create);
+    const key = ['a', 1];
+    cache.get('pipe', key, 10, 20, () => {});
+    key[0] = 'b';
+    cache.get('pipe', key, 10, 20, () => {});
+    cache.get('pipe', key, 10, 20, () => {});
+    assertEqual(cache.builds, 2);
+  });
+
+  test('headless, there is nothing to cache into', () => {
+    const cache = new SpriteCache(() => null);
+    assertEqual(cache.get('pipe', [], 10, 10, () => {}), null);
+  });
+});
+
+describe('Sprite Rendering', () => {
+  test('pipes are blitted from cached sprites', () => {
+    const factory = fakeCanvasFactory();
+    const pm = new PipeManager(400, 600, 50, new SeededRandom(3));
+    pm.sprites = new SpriteCache(factory.create);
+    pm.spawnPipe(150);
+    pm.spawnPipe(150);
+    const ctx = countingContext();
+    pm.draw(ctx);
+    pm.draw(ctx);
+    assertEqual(pm.sprites.builds, 2);
+    assertEqual(ctx.calls.drawImage, 16);
+    assertEqual(ctx.calls.createLinearGradient, undefined);
+  });
+
+  test('pipe sprites are redrawn when the colors change', () => {
+    const pm = new PipeManager(400, 600, 50, new SeededRandom(3));
+    pm.sprites = new SpriteCache(fakeCanvasFactory().create);
+    pm.spawnPipe(150);
+    pm.draw(countingContext());
+    pm.colors = ['#000000', '#111111', '#222222'];
+    pm.draw(countingContext());
+    assertEqual(pm.sprites.builds, 4);
+  });
+
+  test('a steady frame rebuilds nothing', () => {
+    const factory = fakeCanvasFactory();
+    const canvas = { width: 400, height: 600, getContext: () => countingContext() };
+    const game = new Game(canvas, { seed: 1, createCanvas: factory.create });
+    game.start();
+    game.jump();
+    for (let i = 0; i < 200; i++) game.update(FIXED_STEP);
+    game.render();
+    const builds = game.sprites.builds;
+    game.update(FIXED_STEP);
+    game.render();
+    assertEqual(game.sprites.builds, builds);
+
+    game.setTheme('neon');
+    game.render();
+    assertTrue(game.sprites.builds > builds);
+  });
+
+  test('without offscreen canvases the scenery is drawn directly', () => {
+    const canvas = { width: 400, height: 600, getContext: () => countingContext() };
+    const game = new Game(canvas, { seed: 1 });
+    game.render();
+    assertTrue(game.ctx.calls.fillRect > 0);
+    assertEqual(game.ctx.calls.drawImage, undefined);
+  });
+});
+
+describe('QualityManager', () => {
+  function frames(quality, ms, count = SAMPLE_FRAMES) {
+    for (let i = 0; i < count; i++) quality.recordFrame(ms);
+  }
+
+  test('slow frames step down a tier', () => {
+    const quality = new QualityManager();
+    const changes = [];
+    quality.onChange(tier => changes.push(tier.id));
+    frames(quality, 30);
+    assertEqual(quality.tier.id, 'medium');
+    frames(quality, 30);
+    frames(quality, 30);
+    assertEqual(quality.tier.id, 'low');
+    assertEqual(changes.join(), 'medium,low');
+  });
+
+  test('slow hand detection steps down too', () => {
+    const quality = new QualityManager();
+    quality.recordDetection(80);
+    frames(quality, 16);
+    assertEqual(quality.tier.id, 'medium');
+    assertTrue(quality.tier.detectionInterval > QUALITY_TIERS[2].detectionInterval);
+  });
+
+  test('steps back up only after several good samples', () => {
+    const quality = new QualityManager('low');
+    frames(quality, 16, SAMPLE_FRAMES * (UPGRADE_SAMPLES - 1));
+    assertEqual(quality.tier.id, 'low');
+    frames(quality, 16);
+    assertEqual(quality.tier.id, 'medium');
+  });
+
+  test('a pinned tier ignores timings', () => {
+    const quality = new QualityManager();
+    assertTrue(quality.pin('medium'));
+    frames(quality, 50);
+    assertEqual(quality.tier.id, 'medium');
+    assertFalse(new QualityManager().pin(null));
+  });
+});
+
+describe('Game - Quality', () => {
+  test('lower tiers cap particles', () => {
+    const game = new Game(mockCanvas);
+    game.setQuality(QUALITY_TIERS[0]);
+    game.particles.debris(0, 0, 'green', 500);
+    assertEqual(game.particles.count, QUALITY_TIERS[0].particles);
+  });
+
+  test('lower tiers draw fewer clouds but generate the same ones', () => {
+    const canvas = { width: 400, height: 600, getContext: () => countingContext() };
+    const high = new Game(canvas, { seed: 1 });
+    const low = new Game(canvas, { seed: 1 });
+    low.setQuality(QUALITY_TIERS[0]);
+    assertEqual(low.clouds.length, high.clouds.length);
+
+    const arcs = game => {
+      const ctx = countingContext();
+      game.drawCloudLayer(ctx, 0);
+      return ctx.calls.arc;
+    };
+    assertTrue(arcs(low) < arcs(high));
+  });
+
+  test('changing tier redraws the cached scenery', () => {
+    const canvas = { width: 400, height: 600, getContext: () => countingContext() };
+    const game = new Game(canvas, { seed: 1, createCanvas: fakeCanvasFactory().create });
+    game.render();
+    const builds = game.sprites.builds;
+    game.setQuality(QUALITY_TIERS[0]);
+    game.render();
+    assertEqual(game.sprites.builds, builds + 2);
+  });
+});
+
+describe('PipeManager - Pooling', () => {
+  test('pipes that scroll off are reused for new spawns', () => {
+    const pm = new PipeManager(400, 600, 80, new SeededRandom(1));
+    pm.spawnPipe();
+    const first = pm.pipes[0];
+    first.scored = true;
+    first.scored1 = true;
+    first.hit = true;
+    first.minClearance = 2;
+    while (pm.pipes.includes(first)) pm.update(1, 160, 10000);
+    assertEqual(pm.pipePool.length, 1);
+
+    pm.spawnPipe();
+    const reused = pm.pipes[pm.pipes.length - 1];
+    assertTrue(reused === first);
+    assertEqual(reused.x, 400);
+    assertFalse(reused.scored);
+    assertFalse(reused.scored1);
+    assertFalse(reused.hit);
+    assertEqual(reused.minClearance, Infinity);
+    assertEqual(reused.variant, 'static');
+  });
+
+  test('a long run settles on a fixed set of objects', () => {
+    const pm = new PipeManager(400, 600, 80, new SeededRandom(2));
+    pm.coinsEnabled = true;
+    pm.pickupChance = 1;
+    const pipes = new Set();
+    const coins = new Set();
+    for (let i = 0; i < 5000; i++) {
+      pm.update();
+      for (const pipe of pm.pipes) pipes.add(pipe);
+      for (const coin of pm.coins) coins.add(coin);
+    }
+    assertTrue(pipes.size <= 4, `${pipes.size} pipe objects`);
+    assertTrue(coins.size <= COINS_PER_GAP * 4, `${coins.size} coin objects`);
+  });
+
+  test('collected coins and pickups go back to the pool', () => {
+    const pm = new PipeManager(400, 600, 80);
+    pm.coinsEnabled = true;
+    pm.spawnPipe();
+    pm.pipes[0].x = 100;
+    pm.spawnPipe();
+    pm.spawnPickup(500, 300);
+    const coin = pm.coins[0];
+    const bird = new Bird(coin.x, coin.y);
+    assertEqual(pm.collectCoins(bird), 1);
+    assertTrue(pm.coinPool.includes(coin));
+    assertEqual(pm.coins.length, COINS_PER_GAP - 1);
+
+    bird.x = 500;
+    bird.y = 300;
+    assertTrue(pm.collectPickup(bird) !== null);
+    assertEqual(pm.pickups.length, 0);
+    assertEqual(pm.pickupPool.length, 1);
+  });
+
+  test('reset keeps everything for the next run', () => {
+    const pm = new PipeManager(400, 600, 80);
+    pm.spawnPipe();
+    pm.spawnPipe();
+    pm.reset();
+    assertEqual(pm.pipes.length, 0);
+    assertEqual(pm.pipePool.length, 2);
+  });
+
+  test('bird bounds and hit shape are updated in place', () => {
+    const bird = new Bird(100, 200);
+    const bounds = bird.getBounds();
+    const shape = bird.getHitShape();
+    bird.y = 300;
+    assertTrue(bird.getBounds() === bounds);
+    assertTrue(bird.getHitShape() === shape);
+    assertEqual(bounds.top, 300 - bird.radius);
+    assertEqual(shape.y, 300);
+  });
+
+  test('collision checks reuse rects without mixing up pipes', () => {
+    const pm = new PipeManager(400, 600, 80);
+    pm.pipes.push(pm.createPipe(100, 200, 160), pm.createPipe(300, 20, 160));
+    const bird = new Bird(130, 280);
+    assertFalse(pm.checkCollision(bird));
+    bird.y = 150;
+    assertTrue(pm.checkCollision(bird));
+    bird.x = 330;
+    bird.y = 100;
+    assertFalse(pm.checkCollision(bird));
+    assertEqual(pm.getPipeRects(pm.pipes[0]).length, 4);
+    assertEqual(pm.getPipeRects(pm.pipes[1]).length, 3);
+  });
+});
+
+describe('Bird - Animation', () => {
+  test('a flap takes the same time at 60Hz and 120Hz', () => {
+    const slow = new Bird(100, 200);
+    const fast = new Bird(100, 200);
+    slow.jump();
+    fast.jump();
+    for (let i = 0; i < 10; i++) {
+      slow.animate(1000 / 60);
+      fast.animate(1000 / 120);
+      fast.animate(1000 / 120);
+      assertEqual(fast.flapFrame, slow.flapFrame);
+      assertEqual(fast.isFlapping, slow.isFlapping);
+    }
+  });
+
+  test('wing poses advance by elapsed time, not by calls', () => {
+    const bird = new Bird(100, 200);
+    bird.jump();
+    bird.animate(FLAP_FRAME_MS - 1);
+    assertEqual(bird.flapFrame, 0);
+    bird.animate(1);
+    assertEqual(bird.flapFrame, 1);
+    bird.animate(FLAP_FRAME_MS * 2);
+    assertFalse(bird.isFlapping);
+  });
+
+  test('physics updates leave the wings alone', () => {
+    const bird = new Bird(100, 200);
+    bird.jump();
+    for (let i = 0; i < 20; i++) bird.update();
+    assertEqual(bird.flapFrame, 0);
+    assertTrue(bird.isFlapping);
+  });
+
+  test('game frames drive the wing animation', () => {
+    const game = new Game(mockCanvas, { seed: 1 });
+    game.start();
+    game.jump();
+    for (let i = 0; i < 4; i++) game.update(1000 / 60);
+    assertEqual(game.bird.flapFrame, 1);
+  });
+});
+
+describe('Simulation - Time Scale', () => {
+  function fall(sim, ticks = 30) {
+    sim.start();
+    sim.jump();
+    for (let i = 0; i < ticks; i++) sim.step();
+    return sim.bird.y;
+  }
+
+  test('scroll speed no longer changes how the bird moves', () => {
+    const normal = new Simulation({ seed: 1 });
+    const fast = new Simulation({ seed: 1 });
+    normal.start();
+    fast.start();
+    fast.speed = normal.speed * 2;
+    assertEqual(fall(fast), fall(normal));
+    assertTrue(fast.pipes.spawnTimer > normal.pipes.spawnTimer);
+  });
+
+  test('the time scale speeds up or slows down the bird only', () => {
+    const normal = new Simulation({ seed: 1 });
+    const slow = new Simulation({ seed: 1, timeScale: 0.5 });
+    const start = normal.bird.y;
+    // A few ticks into a flap, the slowed bird hasn't climbed as far
+    assertTrue(start - fall(slow, 5) < start - fall(normal, 5));
+    assertEqual(slow.cloudOffset, normal.cloudOffset);
+  });
+
+  test('replays play back with the time scale they were recorded at', () => {
+    const sim = new Simulation({ seed: 3, timeScale: 0.8 });
+    sim.start();
+    sim.jump();
+    for (let i = 0; i < 200 && sim.getState() === 'playing'; i++) {
+      if (i % 25 === 0) sim.jump();
+      sim.step();
+    }
+    sim.gameOver();
+    const replay = sim.getLastReplay();
+    assertEqual(replay.mode.timeScale, 0.8);
+
+    const viewer = new Simulation({ seed: 3 });
+    viewer.playReplay(replay);
+    assertEqual(viewer.observe().timeScale, 0.8);
+    for (let i = 0; i < 1000 && viewer.getState() !== 'gameover'; i++) viewer.step();
+    assertEqual(viewer.bird.y, sim.bird.y);
+  });
+});
+
 // ========== SUMMARY ==========
 
 console.log('\n' + '='.repeat(40));